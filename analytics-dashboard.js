@@ -0,0 +1,247 @@
+// ===== ANALYTICS DASHBOARD =====
+// This file builds analuutika.html from the event log that analytics.js keeps:
+// - funnel: how many visits got from seeing a car to a placed order, step by step
+// - searches that found nothing: what customers look for that the shop doesn't have
+// - conversion by model: how often a car that was seen was also added and ordered
+// The raw events can be downloaded as JSON or CSV, e.g. for a spreadsheet
+//
+// Key concepts:
+// - visit (session): all events of one browser tab (see shopSessionId() in events.js)
+// - funnel: a visit counts for a step only if it did the earlier steps first, so
+//   every step has at most as many visits as the one before it
+// - the log only has the newest MAX_LOGGED_EVENTS events of THIS browser
+
+// ===== FUNNEL STEPS =====
+const FUNNEL_STEPS = [
+    { type: 'product_viewed', labelKey: 'analytics.stepViewed' },
+    { type: 'product_added', labelKey: 'analytics.stepAdded' },
+    { type: 'cart_viewed', labelKey: 'analytics.stepCart' },
+    { type: 'checkout_started', labelKey: 'analytics.stepCheckout' },
+    { type: 'order_placed', labelKey: 'analytics.stepOrdered' }
+];
+
+// How many search terms the "found nothing" table shows
+const TOP_SEARCH_TERMS = 10;
+
+// ===== GROUP THE EVENTS BY VISIT =====
+// Returns a Map: session id → that visit's events, oldest first
+function eventsBySession(events) {
+    const sessions = new Map();
+    events.forEach(event => {
+        if (!sessions.has(event.session)) {
+            sessions.set(event.session, []);
+        }
+        sessions.get(event.session).push(event);
+    });
+    return sessions;
+}
+
+// ===== FUNNEL =====
+// Returns one number per step: the visits that reached it (in order)
+function funnelCounts(events) {
+    const counts = FUNNEL_STEPS.map(() => 0);
+    eventsBySession(events).forEach(sessionEvents => {
+        // Walk through the visit; each matching event moves it one step further
+        let reached = 0;
+        sessionEvents.forEach(event => {
+            if (reached < FUNNEL_STEPS.length && event.type === FUNNEL_STEPS[reached].type) {
+                reached += 1;
+            }
+        });
+        for (let step = 0; step < reached; step++) {
+            counts[step] += 1;
+        }
+    });
+    return counts;
+}
+
+// "45%" - the share of a number, or "–" when there is nothing to divide by
+function percentText(part, whole) {
+    return whole > 0 ? `${Math.round(part / whole * 100)}%` : '–';
+}
+
+function funnelHTML(events) {
+    const counts = funnelCounts(events);
+    const rows = FUNNEL_STEPS.map((step, index) => {
+        // Bars are as wide as the share of the first step
+        const width = counts[0] > 0 ? counts[index] / counts[0] * 100 : 0;
+        const fromPrevious = index === 0 ? '' : percentText(counts[index], counts[index - 1]);
+        return `
+            <li class="funnel-step">
+                <span class="funnel-label">${t(step.labelKey)}</span>
+                <span class="funnel-bar"><span style="width: ${width}%"></span></span>
+                <span class="funnel-count">${counts[index]}</span>
+                <span class="funnel-rate">${fromPrevious}</span>
+            </li>
+        `;
+    }).join('');
+    return `<ol class="funnel">${rows}</ol>`;
+}
+
+// ===== SEARCHES THAT FOUND NOTHING =====
+// "Ferrari" and "ferrari " are the same term
+function zeroResultTerms(events) {
+    const counts = new Map();
+    events
+        .filter(event => event.type === 'search_no_results' && event.data && event.data.term)
+        .forEach(event => {
+            const term = String(event.data.term).trim().toLowerCase();
+            counts.set(term, (counts.get(term) || 0) + 1);
+        });
+    return [...counts.entries()]
+        .map(([term, count]) => ({ term: term, count: count }))
+        .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term))
+        .slice(0, TOP_SEARCH_TERMS);
+}
+
+function zeroResultsHTML(events) {
+    const terms = zeroResultTerms(events);
+    if (terms.length === 0) {
+        return `<p class="analytics-empty">${t('analytics.noZeroResults')}</p>`;
+    }
+    const rows = terms.map(entry => `
+        <tr><td>${escapeHTML(entry.term)}</td><td>${entry.count}</td></tr>
+    `).join('');
+    return `
+        <table class="analytics-table">
+            <thead><tr><th>${t('analytics.term')}</th><th>${t('analytics.searches')}</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// ===== CONVERSION BY MODEL =====
+// For every car: in how many visits it was seen, added and ordered
+function modelConversion(events) {
+    const visitsWith = matches => new Set(events.filter(matches).map(event => event.session)).size;
+    return products.map(product => {
+        const isAbout = event => event.data && event.data.id === product.id;
+        const viewed = visitsWith(event => event.type === 'product_viewed' && isAbout(event));
+        const added = visitsWith(event => event.type === 'product_added' && isAbout(event));
+        const ordered = visitsWith(event => event.type === 'order_placed' &&
+            event.data && Array.isArray(event.data.ids) && event.data.ids.includes(product.id));
+        return { product: product, viewed: viewed, added: added, ordered: ordered };
+    });
+}
+
+function modelConversionHTML(events) {
+    const rows = modelConversion(events).map(row => `
+        <tr>
+            <td>${row.product.name}</td>
+            <td>${row.viewed}</td>
+            <td>${row.added}</td>
+            <td>${row.ordered}</td>
+            <td>${percentText(row.ordered, row.viewed)}</td>
+        </tr>
+    `).join('');
+    return `
+        <table class="analytics-table">
+            <thead>
+                <tr>
+                    <th>${t('analytics.model')}</th>
+                    <th>${t('analytics.stepViewed')}</th>
+                    <th>${t('analytics.stepAdded')}</th>
+                    <th>${t('analytics.stepOrdered')}</th>
+                    <th>${t('analytics.conversion')}</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// ===== BUILD THE PAGE =====
+function renderAnalytics() {
+    const dashboard = document.getElementById('analytics-dashboard');
+    if (!dashboard) {
+        return;
+    }
+
+    const optOut = document.getElementById('analytics-opt-out');
+    optOut.checked = isAnalyticsOptedOut();
+
+    const events = loadAnalyticsLog();
+    const summary = document.getElementById('analytics-summary');
+    if (events.length === 0) {
+        summary.textContent = t(optOut.checked ? 'analytics.optedOut' : 'analytics.empty');
+        dashboard.innerHTML = '';
+        return;
+    }
+
+    summary.textContent = t('analytics.summary', {
+        count: events.length,
+        visits: eventsBySession(events).size,
+        since: formatOrderDate(events[0].time)
+    });
+
+    dashboard.innerHTML = `
+        <section class="analytics-panel">
+            <h2>${t('analytics.funnel')}</h2>
+            ${funnelHTML(events)}
+        </section>
+        <section class="analytics-panel">
+            <h2>${t('analytics.zeroResults')}</h2>
+            ${zeroResultsHTML(events)}
+        </section>
+        <section class="analytics-panel">
+            <h2>${t('analytics.byModel')}</h2>
+            ${modelConversionHTML(events)}
+        </section>
+    `;
+}
+
+// ===== DOWNLOAD THE RAW EVENTS =====
+// e.g. "bmw-m-analuutika-2026-10-19.json"
+function analyticsFileName(extension) {
+    return `bmw-m-analuutika-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function exportAnalyticsJSON() {
+    const events = loadAnalyticsLog();
+    if (events.length === 0) {
+        showToast(t('analytics.empty'));
+        return;
+    }
+    downloadFile(analyticsFileName('json'), JSON.stringify(events, null, 2), 'application/json');
+}
+
+// One row per event; the data column holds the event's data as JSON
+function analyticsToCSV(events) {
+    const columns = ['time', 'session', 'page', 'type', 'data'];
+    const rows = events.map(event =>
+        [event.time, event.session, event.page, event.type, JSON.stringify(event.data)].map(csvField).join(','));
+    return [columns.join(','), ...rows].join('\r\n');
+}
+
+function exportAnalyticsCSV() {
+    const events = loadAnalyticsLog();
+    if (events.length === 0) {
+        showToast(t('analytics.empty'));
+        return;
+    }
+    downloadFile(analyticsFileName('csv'), analyticsToCSV(events), 'text/csv');
+}
+
+// ===== OPT-OUT AND CLEAR =====
+function changeAnalyticsOptOut(event) {
+    setAnalyticsOptOut(event.target.checked);
+    renderAnalytics();
+}
+
+function clearAnalytics() {
+    clearAnalyticsLog();
+    renderAnalytics();
+    showToast(t('analytics.cleared'));
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+window.addEventListener('DOMContentLoaded', renderAnalytics);
+
+window.addEventListener('languagechange', renderAnalytics);
+
+// Events logged in the shop's other tabs show up here at once
+window.addEventListener('storage', function(event) {
+    if (event.key === ANALYTICS_LOG_KEY || event.key === ANALYTICS_OPT_OUT_KEY) {
+        renderAnalytics();
+    }
+});
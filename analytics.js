@@ -0,0 +1,69 @@
+// ===== ANALYTICS LOG =====
+// This file listens to the shop's events (events.js) and keeps them in a log in
+// localStorage - nothing is sent anywhere. The dashboard (analuutika.html) reads it
+//
+// Key concepts:
+// - bounded log: only the newest MAX_LOGGED_EVENTS events are kept, so the log
+//   can't fill up localStorage (which the cart, orders and bookings need too)
+// - opt-out: with 'analyticsOptOut' set nothing is logged, and opting out
+//   deletes what was logged before
+//
+// This file is loaded in the <head> of every page, right after events.js
+
+// ===== SETTINGS =====
+const ANALYTICS_LOG_KEY = 'analyticsLog';
+const ANALYTICS_OPT_OUT_KEY = 'analyticsOptOut';
+const MAX_LOGGED_EVENTS = 1000;
+
+// ===== OPT-OUT =====
+function isAnalyticsOptedOut() {
+    return localStorage.getItem(ANALYTICS_OPT_OUT_KEY) === 'true';
+}
+
+function setAnalyticsOptOut(optOut) {
+    if (optOut) {
+        localStorage.setItem(ANALYTICS_OPT_OUT_KEY, 'true');
+        clearAnalyticsLog();
+    } else {
+        localStorage.removeItem(ANALYTICS_OPT_OUT_KEY);
+    }
+}
+
+// ===== READ AND WRITE THE LOG =====
+// Always returns an array of events, oldest first - never throws
+function loadAnalyticsLog() {
+    try {
+        const log = JSON.parse(localStorage.getItem(ANALYTICS_LOG_KEY));
+        return Array.isArray(log)
+            ? log.filter(event => event && SHOP_EVENT_TYPES[event.type] && typeof event.session === 'string')
+            : [];
+    } catch (error) {
+        console.warn('Analytics log was corrupted and has been reset.', error);
+        return [];
+    }
+}
+
+function clearAnalyticsLog() {
+    localStorage.removeItem(ANALYTICS_LOG_KEY);
+}
+
+// ===== ADD ONE EVENT =====
+function logShopEvent(event) {
+    if (isAnalyticsOptedOut()) {
+        return;
+    }
+
+    const log = loadAnalyticsLog();
+    log.push(event);
+    const kept = log.slice(-MAX_LOGGED_EVENTS);
+
+    try {
+        localStorage.setItem(ANALYTICS_LOG_KEY, JSON.stringify(kept));
+    } catch (error) {
+        // localStorage is full: the statistics are the first thing to give up space
+        localStorage.setItem(ANALYTICS_LOG_KEY, JSON.stringify(kept.slice(-Math.floor(MAX_LOGGED_EVENTS / 10))));
+    }
+}
+
+// ===== LISTEN =====
+window.addEventListener('shopevent', event => logShopEvent(event.detail));
@@ -0,0 +1,83 @@
+// ===== SHOP API CLIENT =====
+// This file talks to the shop's server: the REST API that keeps carts and
+// orders, so a cart started on a phone can be finished on the showroom laptop
+// For development, mock-server.js is a small local server with the same API
+// (run "node mock-server.js" and open http://localhost:8080/esileht.html)
+//
+// Key concepts:
+// - REST: every cart has its own address (api/carts/C-4K7QX2M9); GET reads it,
+//   PUT replaces it, PATCH changes some lines; POST api/orders adds an order
+// - fetch(): sends a request and returns a Promise, like the payment provider
+// - version: every saved cart has a number that goes up by one on each change;
+//   a change must say which version it was based on (baseVersion), and the server
+//   answers 409 Conflict when the cart has changed since (sync.js sorts that out)
+// - this file only sends and receives; the offline queue is in sync.js
+//
+// The API:
+//   GET    api/health           → 200 { ok: true }  (is there an API at all? see probeShopApi)
+//   GET    api/carts/:id        → 200 { id, version, items, updated } or 404
+//   PUT    api/carts/:id        { baseVersion, items }       → 200 cart, or 409 { cart }
+//   PATCH  api/carts/:id        { baseVersion, operations }  → 200 cart, or 409 { cart }
+//          operations: [{ op: 'set', line: { id, config, quantity } },
+//                       { op: 'remove', line: { id, config } }]
+//   POST   api/orders           { cartId, order }            → 201 (200 if already saved)
+//   GET    api/orders?cart=:id  → 200 [order, ...]
+
+// ===== WHERE IS THE API? =====
+// Relative to the page, so the shop and the API come from the same server
+const API_BASE = 'api';
+
+// ===== SEND ONE REQUEST =====
+// Resolves with { status: 200, data: {...} } for every answer the server gives
+// (also 404 or 409 - those are normal answers here), and rejects when the
+// server can't be reached at all: offline, or no server running
+// data is null when the answer isn't JSON: then it came from a plain web server
+// (e.g. its "404 Not Found" page), not from the API
+function apiRequest(method, path, body) {
+    const options = { method: method, headers: { 'Accept': 'application/json' } };
+    if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    return fetch(`${API_BASE}/${path}`, options).then(response => {
+        const type = response.headers.get('Content-Type') || '';
+        if (!type.includes('application/json')) {
+            return { status: response.status, data: null };
+        }
+        return response.json()
+            .catch(() => null)
+            .then(data => ({ status: response.status, data: data }));
+    });
+}
+
+// ===== IS THERE AN API AT ALL? =====
+// The shop also works from a plain web server (or a folder) without the API;
+// there api/health is a 404 page. Resolves true only when the API itself answers,
+// and rejects when nothing can be reached (offline: ask again later)
+function probeShopApi() {
+    return apiRequest('GET', 'health')
+        .then(response => response.status === 200 && Boolean(response.data) && response.data.ok === true);
+}
+
+// ===== CARTS =====
+function fetchServerCart(cartId) {
+    return apiRequest('GET', `carts/${encodeURIComponent(cartId)}`);
+}
+
+function replaceServerCart(cartId, baseVersion, items) {
+    return apiRequest('PUT', `carts/${encodeURIComponent(cartId)}`, { baseVersion: baseVersion, items: items });
+}
+
+function patchServerCart(cartId, baseVersion, operations) {
+    return apiRequest('PATCH', `carts/${encodeURIComponent(cartId)}`, { baseVersion: baseVersion, operations: operations });
+}
+
+// ===== ORDERS =====
+function sendServerOrder(cartId, order) {
+    return apiRequest('POST', 'orders', { cartId: cartId, order: order });
+}
+
+function fetchServerOrders(cartId) {
+    return apiRequest('GET', `orders?cart=${encodeURIComponent(cartId)}`);
+}
@@ -0,0 +1,353 @@
+// ===== TEST DRIVE BOOKINGS =====
+// This file knows when a test drive can be booked, and saves the bookings
+// to localStorage under the key 'testDrives' (like orders.js saves orders)
+// The booking widget on the detail page is in test-drive.js, the
+// "My bookings" page (proovisoidud.html) in my-bookings.js
+//
+// One booking looks like:
+// {
+//   id: "TD-MVFM87M3",
+//   productId: "m3",
+//   showroom: "tallinn",
+//   date: "2026-10-21", time: "10:00", minutes: 60,
+//   customer: { name: "Mari Maasikas", email: "...", phone: "..." },
+//   created: "2026-10-19T12:00:00.000Z"
+// }
+//
+// Key concepts:
+// - testDriveSettings: opening hours, slot length and demo cars - change them
+//   here and the calendar follows
+// - slot: one test drive time, e.g. 10:00-11:00 on 21 October in Tallinn
+// - a slot is taken when the same model already has a booking in the same
+//   showroom at the same time (each showroom has one demo car per model)
+// - dates and times are the showroom's own (Estonian) time, kept as text
+//   ("2026-10-21", "10:00"), so they never move when the computer's time zone differs;
+//   slotStart() turns them into the real moment, wherever the customer is
+// - .ics: the calendar file format Google Calendar, Outlook and Apple Calendar all import
+
+// ===== SETTINGS =====
+const testDriveSettings = {
+    // Length of one test drive; the slots follow each other without a gap
+    slotMinutes: 60,
+    // How many days ahead the calendar shows, today included
+    daysAhead: 14,
+    // A slot must be booked at least this long before it starts
+    minNoticeHours: 2,
+    // Opening hours per showroom (showrooms are in orders.js), per day of the week:
+    // 0 = Sunday, 1 = Monday ... 6 = Saturday, like Date.getDay(); a missing day is closed
+    openingHours: {
+        tallinn: {
+            1: ['10:00', '19:00'],
+            2: ['10:00', '19:00'],
+            3: ['10:00', '19:00'],
+            4: ['10:00', '19:00'],
+            5: ['10:00', '19:00'],
+            6: ['10:00', '16:00']
+        },
+        tartu: {
+            1: ['10:00', '18:00'],
+            2: ['10:00', '18:00'],
+            3: ['10:00', '18:00'],
+            4: ['10:00', '18:00'],
+            5: ['10:00', '18:00']
+        }
+    },
+    // Which models each showroom has a demo car of
+    demoCars: {
+        tallinn: ['m3', 'm4', 'm5'],
+        tartu: ['m3', 'm4']
+    }
+};
+
+// ===== SHOWROOM TIME =====
+// The showrooms are in Estonia; a customer abroad still sees the Tallinn times
+const SHOWROOM_TIME_ZONE = 'Europe/Tallinn';
+
+// A moment on the showroom's clock: { year, month, day, hour, minute } (month 1-12)
+// 'en-GB' only fixes the number format; hourCycle h23 gives 0-23 instead of 24 at midnight
+const showroomClockFormat = new Intl.DateTimeFormat('en-GB', {
+    timeZone: SHOWROOM_TIME_ZONE, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+});
+
+function showroomClock(date) {
+    const clock = {};
+    showroomClockFormat.formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') {
+            clock[part.type] = Number(part.value);
+        }
+    });
+    return clock;
+}
+
+// How far the showroom's clock is ahead of UTC at that moment, in milliseconds
+// (2 hours in winter, 3 in summer)
+function showroomOffset(date) {
+    const clock = showroomClock(date);
+    const asUTC = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute);
+    return asUTC - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+// ===== DATES AND TIMES AS TEXT =====
+// "2026-10-21" for a Date: the day it is in the showroom at that moment
+function toDateKey(date) {
+    const clock = showroomClock(date);
+    return `${clock.year}-${String(clock.month).padStart(2, '0')}-${String(clock.day).padStart(2, '0')}`;
+}
+
+// "2026-10-21" + 1 → "2026-10-22"; counted in UTC, where every day has 24 hours
+function addDays(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// The day of the week of a date: 0 = Sunday ... 6 = Saturday, like Date.getDay()
+function dayOfWeek(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// "10:00" → 600 (minutes since midnight) and back
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function minutesToTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// The moment a slot starts, as a Date: "2026-10-21" + "10:00" in the showroom
+// First read the time as if it were UTC, then take off the showroom's offset;
+// the offset is checked again at the result, in case summer time starts or ends in between
+function slotStart(dateKey, time) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const minutes = timeToMinutes(time);
+    const asUTC = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+    const guess = asUTC - showroomOffset(new Date(asUTC));
+    return new Date(asUTC - showroomOffset(new Date(guess)));
+}
+
+// "kolmapäev, 21. oktoober 10:00" / "Wednesday 21 October at 10:00", in showroom time
+function formatSlot(dateKey, time) {
+    return new Intl.DateTimeFormat(getLanguage(), {
+        weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit',
+        timeZone: SHOWROOM_TIME_ZONE
+    }).format(slotStart(dateKey, time));
+}
+
+// ===== LOAD AND SAVE =====
+// Broken data gives an empty list instead of crashing the page (like loadOrders())
+function loadBookings() {
+    let bookings;
+    try {
+        bookings = JSON.parse(localStorage.getItem('testDrives'));
+    } catch (error) {
+        console.warn('Test drive bookings were corrupted and cannot be read.', error);
+        return [];
+    }
+    return Array.isArray(bookings) ? bookings : [];
+}
+
+function saveBookings(bookings) {
+    localStorage.setItem('testDrives', JSON.stringify(bookings));
+}
+
+// ===== WHERE AND WHEN =====
+// Showrooms that have a demo car of this model
+function testDriveShowrooms(productId) {
+    return showrooms.filter(room => (testDriveSettings.demoCars[room.id] || []).includes(productId));
+}
+
+// The days the calendar offers, as date keys: today in the showroom and the next daysAhead - 1 days
+function bookableDays(today = new Date()) {
+    const days = [];
+    for (let i = 0; i < testDriveSettings.daysAhead; i++) {
+        days.push(addDays(toDateKey(today), i));
+    }
+    return days;
+}
+
+function isSlotBooked(productId, showroomId, dateKey, time, bookings = loadBookings()) {
+    return bookings.some(booking =>
+        booking.productId === productId &&
+        booking.showroom === showroomId &&
+        booking.date === dateKey &&
+        booking.time === time
+    );
+}
+
+// ===== THE SLOTS OF ONE DAY =====
+// Returns [{ time: "10:00", booked: false }, ...] for one model in one showroom
+// An empty list: the showroom is closed that day, or has no demo car of the model
+// Slots that start too soon (or are already over) are left out
+function slotsForDay(productId, showroomId, dateKey, now = new Date()) {
+    const hours = (testDriveSettings.openingHours[showroomId] || {})[dayOfWeek(dateKey)];
+    if (!hours || !(testDriveSettings.demoCars[showroomId] || []).includes(productId)) {
+        return [];
+    }
+
+    const earliest = now.getTime() + testDriveSettings.minNoticeHours * 60 * 60 * 1000;
+    const bookings = loadBookings();
+    const slots = [];
+
+    // The last slot must end by closing time
+    const closing = timeToMinutes(hours[1]);
+    for (let start = timeToMinutes(hours[0]); start + testDriveSettings.slotMinutes <= closing; start += testDriveSettings.slotMinutes) {
+        const time = minutesToTime(start);
+        if (slotStart(dateKey, time).getTime() >= earliest) {
+            slots.push({ time: time, booked: isSlotBooked(productId, showroomId, dateKey, time, bookings) });
+        }
+    }
+    return slots;
+}
+
+// ===== BOOK =====
+// Checks the slot again right before saving: another tab may have taken it meanwhile
+// Returns the new booking, or null when the slot can't be booked (any more)
+function bookTestDrive(productId, showroomId, dateKey, time, customer) {
+    const slot = slotsForDay(productId, showroomId, dateKey).find(s => s.time === time);
+    if (!slot || slot.booked) {
+        return null;
+    }
+
+    const booking = {
+        id: 'TD-' + Date.now().toString(36).toUpperCase(),
+        productId: productId,
+        showroom: showroomId,
+        date: dateKey,
+        time: time,
+        // Kept with the booking, so the calendar file stays right if the setting changes
+        minutes: testDriveSettings.slotMinutes,
+        customer: customer,
+        created: new Date().toISOString()
+    };
+
+    const bookings = loadBookings();
+    bookings.push(booking);
+    saveBookings(bookings);
+    return booking;
+}
+
+// ===== CANCEL =====
+// Returns the cancelled booking (so it can be put back), or undefined
+function cancelTestDrive(bookingId) {
+    const bookings = loadBookings();
+    const index = bookings.findIndex(booking => booking.id === bookingId);
+    if (index === -1) {
+        return undefined;
+    }
+    const [cancelled] = bookings.splice(index, 1);
+    saveBookings(bookings);
+    return cancelled;
+}
+
+// "Undo" after cancelling: only if nobody has taken the slot in the meantime
+// Returns true when the booking is back
+function restoreTestDrive(booking) {
+    const bookings = loadBookings();
+    if (isSlotBooked(booking.productId, booking.showroom, booking.date, booking.time, bookings)) {
+        return false;
+    }
+    bookings.push(booking);
+    saveBookings(bookings);
+    return true;
+}
+
+// A booking is upcoming until its test drive has ended
+function isUpcomingBooking(booking, now = new Date()) {
+    return slotStart(booking.date, booking.time).getTime() + booking.minutes * 60 * 1000 > now.getTime();
+}
+
+// ===== CALENDAR FILE (.ics) =====
+// The showrooms are in Estonia, so times are written in Tallinn time;
+// VTIMEZONE tells the calendar app when Estonia is on summer time
+const ICS_TIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    'TZID:Europe/Tallinn',
+    'BEGIN:STANDARD',
+    'DTSTART:19701025T040000',
+    'TZOFFSETFROM:+0300',
+    'TZOFFSETTO:+0200',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'TZNAME:EET',
+    'END:STANDARD',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:19700329T030000',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0300',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'TZNAME:EEST',
+    'END:DAYLIGHT',
+    'END:VTIMEZONE'
+];
+
+// Commas, semicolons and backslashes have a meaning in .ics texts, so they get a \ in front
+function icsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/[,;]/g, match => '\\' + match)
+        .replace(/\r?\n/g, '\\n');
+}
+
+// "2026-10-21" + "10:00" → "20261021T100000"
+function icsDateTime(dateKey, time) {
+    return `${dateKey.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+// Lines may be at most 75 bytes long; longer ones continue on the next line
+// after a space. TextEncoder counts bytes, because ä and õ take two
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let part = '';
+    for (const char of line) {
+        // Continuation lines start with a space, which counts too
+        const limit = parts.length === 0 ? 75 : 74;
+        if (encoder.encode(part + char).length > limit) {
+            parts.push(part);
+            part = '';
+        }
+        part += char;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+}
+
+function bookingToICS(booking) {
+    const product = getProduct(booking.productId);
+    const name = product ? product.name : booking.productId;
+    const room = showrooms.find(r => r.id === booking.showroom);
+    const end = minutesToTime(timeToMinutes(booking.time) + booking.minutes);
+    // DTSTAMP is in UTC: "2026-10-19T12:00:00.000Z" → "20261019T120000Z"
+    const stamp = booking.created.replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//BMW M Shop//Test drives//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...ICS_TIMEZONE,
+        'BEGIN:VEVENT',
+        `UID:${booking.id}@bmw-m-shop.ee`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;TZID=Europe/Tallinn:${icsDateTime(booking.date, booking.time)}`,
+        `DTEND;TZID=Europe/Tallinn:${icsDateTime(booking.date, end)}`,
+        `SUMMARY:${icsText(t('testDrive.calendarTitle', { name: name }))}`,
+        `LOCATION:${icsText(room ? room.name : booking.showroom)}`,
+        `DESCRIPTION:${icsText(t('testDrive.calendarText', { id: booking.id }))}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+    // .ics files use Windows line ends (\r\n), and end with one too
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// Saves the booking as e.g. "proovisoit-TD-MVFM87M3.ics" (download.js)
+function downloadBookingICS(bookingId) {
+    const booking = loadBookings().find(b => b.id === bookingId);
+    if (booking) {
+        downloadFile(`proovisoit-${booking.id}.ics`, bookingToICS(booking), 'text/calendar');
+    }
+}
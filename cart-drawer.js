@@ -0,0 +1,154 @@
+// ===== MINI-CART DRAWER =====
+// This file opens and closes the slide-out cart on esileht.html
+// Clicking the 🛒 Cart button in the header opens the drawer instead of leaving
+// the page; the lines, quantity buttons and total inside it are drawn by
+// displayMiniCart() in cart.js, with the same functions as the cart page
+//
+// Key concepts:
+// - dialog: role="dialog" + aria-modal tell screen readers the rest of the page is out of reach
+// - focus trap: Tab and Shift+Tab go round inside the open drawer, never behind it
+// - keyboard: Escape closes, ↑/↓ move between the buttons, Home/End jump to the first/last
+// - when the drawer closes, the focus goes back to the Cart button that opened it
+// - the link still points to ostukorv.html: Ctrl+click or a new tab opens the cart page as before
+
+// Everything in the drawer the keyboard can reach
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled])';
+
+// The Cart button that opened the drawer, to give the focus back when it closes
+let drawerOpener = null;
+
+// ===== FIND THE PARTS =====
+function getCartDrawer() {
+    return document.getElementById('cart-drawer');
+}
+
+function isCartDrawerOpen() {
+    const drawer = getCartDrawer();
+    return Boolean(drawer && drawer.classList.contains('open'));
+}
+
+// The buttons, number boxes and links inside the drawer, in page order
+function drawerFocusableElements() {
+    return [...getCartDrawer().querySelectorAll(FOCUSABLE_SELECTOR)];
+}
+
+// ===== OPEN =====
+function openCartDrawer() {
+    const drawer = getCartDrawer();
+    if (!drawer || isCartDrawerOpen()) {
+        return;
+    }
+
+    drawerOpener = document.activeElement;
+    displayMiniCart(); // Draw the current cart (cart.js)
+    publishShopEvent('cart_viewed', { via: 'drawer', lines: cart.length });
+
+    drawer.classList.add('open');
+    document.getElementById('cart-drawer-backdrop').classList.add('open');
+    // The page behind the drawer doesn't scroll while it is open
+    document.body.classList.add('drawer-open');
+    document.querySelectorAll('.cart-link').forEach(link => link.setAttribute('aria-expanded', 'true'));
+
+    // Start on the first thing to press: the ✕ if the cart is empty
+    const first = document.getElementById('mini-cart-items').querySelector(FOCUSABLE_SELECTOR) || drawer.querySelector('.drawer-close');
+    first.focus();
+}
+
+// ===== CLOSE =====
+function closeCartDrawer() {
+    if (!isCartDrawerOpen()) {
+        return;
+    }
+
+    getCartDrawer().classList.remove('open');
+    document.getElementById('cart-drawer-backdrop').classList.remove('open');
+    document.body.classList.remove('drawer-open');
+    document.querySelectorAll('.cart-link').forEach(link => link.setAttribute('aria-expanded', 'false'));
+
+    // Back to where the customer was
+    if (drawerOpener && document.contains(drawerOpener)) {
+        drawerOpener.focus();
+    }
+    drawerOpener = null;
+}
+
+// ===== KEYBOARD INSIDE THE DRAWER =====
+function handleDrawerKeydown(event) {
+    if (!isCartDrawerOpen()) {
+        return;
+    }
+
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeCartDrawer();
+        return;
+    }
+
+    const elements = drawerFocusableElements();
+    if (elements.length === 0) {
+        return;
+    }
+    const index = elements.indexOf(document.activeElement);
+
+    // ===== FOCUS TRAP =====
+    // From the last element Tab goes to the first, from the first Shift+Tab to the last
+    // index -1: the focus is on the drawer itself (e.g. after its line was removed)
+    if (event.key === 'Tab') {
+        if (event.shiftKey && index <= 0) {
+            event.preventDefault();
+            elements[elements.length - 1].focus();
+        } else if (!event.shiftKey && (index === -1 || index === elements.length - 1)) {
+            event.preventDefault();
+            elements[0].focus();
+        }
+        return;
+    }
+
+    // ↑/↓ in a number box change the number, so they are left alone there
+    if (event.target.tagName === 'INPUT') {
+        return;
+    }
+
+    // ===== ARROW KEYS =====
+    // Like moving through a menu; at the ends they go round to the other end
+    let next = null;
+    if (event.key === 'ArrowDown') {
+        next = elements[(index + 1) % elements.length];
+    } else if (event.key === 'ArrowUp') {
+        next = elements[(index - 1 + elements.length) % elements.length];
+    } else if (event.key === 'Home') {
+        next = elements[0];
+    } else if (event.key === 'End') {
+        next = elements[elements.length - 1];
+    }
+
+    if (next) {
+        event.preventDefault(); // Don't scroll the page as well
+        next.focus();
+    }
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+window.addEventListener('DOMContentLoaded', function() {
+    // Pages without the drawer keep their normal Cart link
+    if (!getCartDrawer()) {
+        return;
+    }
+
+    document.querySelectorAll('.cart-link').forEach(link => {
+        // Tell screen readers the link opens the drawer
+        link.setAttribute('aria-controls', 'cart-drawer');
+        link.setAttribute('aria-expanded', 'false');
+
+        link.addEventListener('click', function(event) {
+            // Ctrl/Cmd/Shift+click: the browser opens ostukorv.html in a new tab or window
+            if (event.ctrlKey || event.metaKey || event.shiftKey) {
+                return;
+            }
+            event.preventDefault(); // Stay on this page
+            openCartDrawer();
+        });
+    });
+
+    getCartDrawer().addEventListener('keydown', handleDrawerKeydown);
+});
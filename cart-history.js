@@ -0,0 +1,165 @@
+// ===== CART UNDO / REDO =====
+// Every change to the cart (add, remove, quantity, clear) can be taken back,
+// so removing a car or emptying the cart no longer needs a "Are you sure?" popup
+//
+// Key concepts:
+// - snapshot: a copy of the cart lines as they were just BEFORE a change
+// - undo stack: snapshots of earlier carts, the latest change on top
+// - redo stack: carts that were undone; filled by undo, emptied by any new change
+// - the "Undo" button in the toast, the buttons on ostukorv.html and
+//   Ctrl+Z / Ctrl+Shift+Z (Cmd on a Mac) all use the same two functions
+// - a toast's button belongs to the change the toast is about: once a later
+//   change is on top of the stack, that older button does nothing
+//
+// The history lives only as long as the page: it is not saved in localStorage
+
+// Older changes are forgotten, so the history can't grow forever
+const MAX_CART_HISTORY = 50;
+
+// ===== HISTORY STACKS =====
+// One entry: { messageKey, params, items }
+// messageKey + params describe the change for t() (i18n.js), so the text
+// follows the language; items is the cart before the change
+let undoStack = [];
+let redoStack = [];
+
+// A real copy (configs included), so changing the cart later can't change a snapshot
+function copyCartItems(items) {
+    return JSON.parse(JSON.stringify(items));
+}
+
+// ===== REMEMBER THE CART BEFORE A CHANGE =====
+// cart.js calls this right BEFORE it changes the cart
+// Example: rememberCart('history.remove', { name: 'BMW M3' })
+function rememberCart(messageKey, params = {}) {
+    undoStack.push({ messageKey: messageKey, params: params, items: copyCartItems(cart) });
+    if (undoStack.length > MAX_CART_HISTORY) {
+        undoStack.shift();
+    }
+    // After a new change, the carts that were undone earlier can't come back
+    redoStack = [];
+    updateHistoryButtons();
+}
+
+// "BMW M3 removed from the cart", in the current language
+function describeCartChange(entry) {
+    return t(entry.messageKey, entry.params);
+}
+
+// ===== PUT A SAVED CART BACK =====
+function restoreCart(items) {
+    cart = items;
+    saveCart(cart);
+    displayCart();
+    updateCartCount();
+    updateHistoryButtons();
+}
+
+// ===== UNDO THE LAST CHANGE =====
+function undoCartChange() {
+    if (undoStack.length === 0) {
+        return;
+    }
+    const entry = undoStack.pop();
+    // The cart as it is now becomes the redo step
+    redoStack.push(Object.assign({}, entry, { items: copyCartItems(cart) }));
+    restoreCart(entry.items);
+
+    showToast(t('history.undone', { action: describeCartChange(entry) }), {
+        action: { label: t('history.redo'), onClick: redoChangeAction() }
+    });
+}
+
+// ===== REDO WHAT WAS JUST UNDONE =====
+function redoCartChange() {
+    if (redoStack.length === 0) {
+        return;
+    }
+    const entry = redoStack.pop();
+    undoStack.push(Object.assign({}, entry, { items: copyCartItems(cart) }));
+    restoreCart(entry.items);
+
+    showToast(t('history.redone', { action: describeCartChange(entry) }), {
+        action: { label: t('history.undo'), onClick: undoChangeAction() }
+    });
+}
+
+// ===== "UNDO" / "REDO" IN A TOAST =====
+// Returns the onClick for a toast about the change that is on top of the stack now
+// Stacked toasts each keep their own step: clicking an older toast's button must
+// not undo a newer change, so it only works while its step is still on top
+// Example: showToast('BMW M3 removed', { action: { label: 'Undo', onClick: undoChangeAction() } })
+function undoChangeAction() {
+    const entry = undoStack[undoStack.length - 1];
+    return function() {
+        if (entry && undoStack[undoStack.length - 1] === entry) {
+            undoCartChange();
+        }
+    };
+}
+
+function redoChangeAction() {
+    const entry = redoStack[redoStack.length - 1];
+    return function() {
+        if (entry && redoStack[redoStack.length - 1] === entry) {
+            redoCartChange();
+        }
+    };
+}
+
+// Forget everything (e.g. when another tab changed the cart)
+function clearCartHistory() {
+    undoStack = [];
+    redoStack = [];
+    updateHistoryButtons();
+}
+
+// ===== UNDO / REDO BUTTONS ON ostukorv.html =====
+// Greyed out when there is nothing to undo or redo; the tooltip says what would happen
+function updateHistoryButtons() {
+    const undoButton = document.getElementById('btn-undo');
+    const redoButton = document.getElementById('btn-redo');
+    if (!undoButton || !redoButton) {
+        return;
+    }
+
+    const lastUndo = undoStack[undoStack.length - 1];
+    const lastRedo = redoStack[redoStack.length - 1];
+
+    undoButton.disabled = !lastUndo;
+    undoButton.title = lastUndo ? describeCartChange(lastUndo) : '';
+    redoButton.disabled = !lastRedo;
+    redoButton.title = lastRedo ? describeCartChange(lastRedo) : '';
+}
+
+// ===== KEYBOARD SHORTCUTS =====
+// Ctrl+Z = undo, Ctrl+Shift+Z or Ctrl+Y = redo (metaKey = Cmd on a Mac)
+// Not while typing in a field: there Ctrl+Z should undo the typing
+document.addEventListener('keydown', function(event) {
+    const typing = event.target.closest && event.target.closest('input, textarea, select');
+    if (!(event.ctrlKey || event.metaKey) || typing) {
+        return;
+    }
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoCartChange();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redoCartChange();
+    }
+});
+
+// ===== RUN WHEN PAGE LOADS =====
+window.addEventListener('DOMContentLoaded', updateHistoryButtons);
+
+// The tooltips are texts too
+window.addEventListener('languagechange', updateHistoryButtons);
+
+// Another tab changed the cart: the snapshots here no longer match it
+onCartChangedElsewhere(clearCartHistory);
+
+// The same when sync.js replaced the cart with the server's one (another device or
+// a shared link): undoing back to the old cart would sync it over the server's cart
+window.addEventListener('cartsynced', clearCartHistory);
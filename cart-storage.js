@@ -0,0 +1,189 @@
+// ===== CART STORAGE LAYER =====
+// This file is the only code that reads or writes the cart in localStorage
+// cart.js calls loadCart() and saveCart() instead of touching localStorage itself
+//
+// Key concepts:
+// - schema version: the saved cart remembers which format it was written in,
+//   so carts saved by older versions of the shop can be upgraded ("migrated")
+// - self-healing: broken or tampered data (bad JSON, wrong types, negative
+//   quantities, unknown products) is cleaned up instead of crashing the page
+// - cross-tab sync: the browser fires a 'storage' event in OTHER open tabs when
+//   one tab changes localStorage, so every tab can show the same cart
+//
+// Saved format (version 3):
+// { "version": 3, "items": [{ "id": "m3", "quantity": 1, "config": { "paint": "alpine-white", ... } }] }
+// config = the options chosen in the configurator (see optionGroups in catalog.js)
+
+const CART_STORAGE_KEY = 'cart';
+const CART_SCHEMA_VERSION = 3;
+
+// ===== OLD PRODUCT IDS =====
+// Before catalog.js, the "Purchase now!" buttons used number ids 1, 2 and 3
+const legacyProductIds = {
+    1: 'm3',
+    2: 'm4',
+    3: 'm5'
+};
+
+// ===== MIGRATIONS =====
+// Each function upgrades the saved data by ONE version
+// migrations[0] turns version 0 into version 1, migrations[1] turns 1 into 2, ...
+const cartMigrations = [
+    // Version 0 → 1: the original cart, a plain array of
+    // { id: 1, name: "BMW M3", price: 89900, quantity: 1 }
+    // Name and price now come from the catalog, and ids became text ('m3')
+    function(items) {
+        return items.map(item => ({
+            id: legacyProductIds[item && item.id] || (item && item.id),
+            quantity: item && item.quantity
+        }));
+    },
+    // Version 1 → 2: the array is wrapped in an object with a version number
+    function(items) {
+        return { version: 2, items: items };
+    },
+    // Version 2 → 3: every line gets a configuration; cars bought before the
+    // configurator existed had the standard equipment
+    function(data) {
+        const items = Array.isArray(data.items) ? data.items : [];
+        return {
+            version: 3,
+            items: items.map(item => {
+                const product = item && getProduct(item.id);
+                return product ? Object.assign({}, item, { config: defaultConfiguration(product) }) : item;
+            })
+        };
+    }
+];
+
+// ===== WHICH VERSION IS THIS DATA? =====
+// Versions 0 and 1 were plain arrays without a version number:
+// version 0 used number ids, version 1 used text ids
+function detectCartVersion(data) {
+    if (Array.isArray(data)) {
+        const hasLegacyIds = data.some(item => item && typeof item.id === 'number');
+        return hasLegacyIds ? 0 : 1;
+    }
+    if (data && typeof data === 'object' && Number.isInteger(data.version)) {
+        return data.version;
+    }
+    // Not something we recognise at all
+    return -1;
+}
+
+// ===== RUN ALL NEEDED MIGRATIONS =====
+// Returns data in the current format, or null if it can't be upgraded
+function migrateCart(data) {
+    let version = detectCartVersion(data);
+
+    // Unknown format, or saved by a NEWER shop version than this one
+    if (version < 0 || version > CART_SCHEMA_VERSION) {
+        return null;
+    }
+
+    while (version < CART_SCHEMA_VERSION) {
+        data = cartMigrations[version](data);
+        version += 1;
+    }
+    return data;
+}
+
+// ===== WHICH CART LINE IS THIS? =====
+// Product id + configuration, e.g. 'm3/alpine-white/standard/manual/rwd/carbon'
+// Two M3s with different options are different lines; the same options are one line
+function cartLineKey(item) {
+    return `${item.id}/${configurationKey(item.config)}`;
+}
+
+// ===== CLEAN UP CART LINES =====
+// Keeps only lines that make sense:
+// - the line is an object with a product id that exists in catalog.js
+// - quantity is a whole number of at least 1 ("2" becomes 2, 2.7 becomes 2)
+// - the configuration only has choices the model offers (others become standard)
+// Two lines for the same product AND configuration are merged into one
+function sanitizeCartItems(items) {
+    if (!Array.isArray(items)) {
+        return [];
+    }
+
+    const clean = [];
+    items.forEach(item => {
+        const product = item && typeof item === 'object' ? getProduct(item.id) : null;
+        if (!product) {
+            return;
+        }
+
+        const quantity = Math.floor(Number(item.quantity));
+        if (!Number.isFinite(quantity) || quantity < 1) {
+            return;
+        }
+
+        const line = { id: item.id, quantity: quantity, config: normalizeConfiguration(product, item.config) };
+        const existing = clean.find(other => cartLineKey(other) === cartLineKey(line));
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            clean.push(line);
+        }
+    });
+    return clean;
+}
+
+// ===== READ THE CART FROM localStorage =====
+// Always returns a clean array of { id, quantity, config } - never throws
+// If the saved data needed repairs or an upgrade, the fixed version is saved back
+function loadCart() {
+    const raw = localStorage.getItem(CART_STORAGE_KEY);
+    if (raw === null) {
+        return [];
+    }
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        // Not valid JSON at all: start again with an empty cart
+        console.warn('Cart data was corrupted and has been reset.', error);
+        saveCart([]);
+        return [];
+    }
+
+    // Saved by a NEWER version of the shop (e.g. an old tab still open after an update):
+    // don't overwrite data we don't understand, just show an empty cart here
+    if (detectCartVersion(data) > CART_SCHEMA_VERSION) {
+        console.warn('Cart was saved by a newer version of the shop and cannot be read.');
+        return [];
+    }
+
+    const migrated = migrateCart(data);
+    const items = sanitizeCartItems(migrated ? migrated.items : []);
+
+    // Save the cleaned-up cart if anything had to change
+    const repaired = JSON.stringify({ version: CART_SCHEMA_VERSION, items: items });
+    if (repaired !== raw) {
+        console.warn('Cart data was upgraded or repaired.');
+        localStorage.setItem(CART_STORAGE_KEY, repaired);
+    }
+
+    return items;
+}
+
+// ===== WRITE THE CART TO localStorage =====
+// 'cartsave' tells this tab's other scripts (sync.js sends the change to the server)
+function saveCart(items) {
+    const data = { version: CART_SCHEMA_VERSION, items: items };
+    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(data));
+    window.dispatchEvent(new CustomEvent('cartsave', { detail: { items: items } }));
+}
+
+// ===== LISTEN FOR CHANGES FROM OTHER TABS =====
+// callback receives the new (clean) cart items whenever another tab changes the cart
+// Note: the 'storage' event never fires in the tab that made the change itself
+function onCartChangedElsewhere(callback) {
+    window.addEventListener('storage', function(event) {
+        // event.key is null when another tab called localStorage.clear()
+        if (event.key === CART_STORAGE_KEY || event.key === null) {
+            callback(loadCart());
+        }
+    });
+}
@@ -0,0 +1,180 @@
+// ===== CART EXPORT & IMPORT =====
+// A salesperson can put a car together, save the cart as a file and give it to
+// the customer, who imports it on ostukorv.html: a ready-made quote
+//
+// Key concepts:
+// - JSON: the same { version, items } format cart-storage.js saves in localStorage,
+//   so files from older shop versions are upgraded by the same migrations
+// - CSV: one row per cart line, opens in Excel or LibreOffice; the name and price
+//   columns are only there to read, import uses the id, quantity and option columns
+// - downloadFile() (download.js) hands the file to the browser
+// - importing replaces the cart, and can be undone like any other cart change
+
+// ===== CSV COLUMNS =====
+// One column per option group (paint, wheels, ...); packages are joined with '+'
+const CSV_COLUMNS = ['id', 'name', 'quantity', ...Object.keys(optionGroups), 'unit_price_eur', 'line_total_eur'];
+
+// ===== FILE NAME =====
+// e.g. "bmw-m-ostukorv-2026-10-19.csv"
+function exportFileName(extension) {
+    return `bmw-m-ostukorv-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+// ===== EXPORT AS JSON =====
+function exportCartJSON() {
+    if (cart.length === 0) {
+        showToast(t('cart.emptyToast'));
+        return;
+    }
+    const data = { version: CART_SCHEMA_VERSION, exported: new Date().toISOString(), items: cart };
+    // null, 2 = indented, so the file is readable too
+    downloadFile(exportFileName('json'), JSON.stringify(data, null, 2), 'application/json');
+}
+
+// ===== EXPORT AS CSV =====
+// csvField() (download.js) quotes the fields that need it
+function cartToCSV(items) {
+    const rows = items.map(item => {
+        const product = getProduct(item.id);
+        const unitPrice = configuredPrice(product, item.config);
+        const row = { id: item.id, name: product.name, quantity: item.quantity };
+        for (const group in optionGroups) {
+            row[group] = [].concat(item.config[group]).join('+');
+        }
+        row.unit_price_eur = unitPrice;
+        row.line_total_eur = unitPrice * item.quantity;
+        return CSV_COLUMNS.map(column => csvField(row[column])).join(',');
+    });
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+function exportCartCSV() {
+    if (cart.length === 0) {
+        showToast(t('cart.emptyToast'));
+        return;
+    }
+    downloadFile(exportFileName('csv'), cartToCSV(cart), 'text/csv');
+}
+
+// ===== READ A CSV FILE =====
+// Returns the rows as arrays of fields; understands quoted fields with commas
+// and line breaks inside, and both \n and \r\n line ends
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';           // "" inside quotes is one "
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            // \r\n is one line end: skip the \n that follows a \r
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // The last line may not end with a line break
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Empty lines are skipped
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// ===== CART LINES FROM A FILE =====
+// Both return raw lines; sanitizeCartItems() (cart-storage.js) cleans them up afterwards
+function cartItemsFromCSV(text) {
+    const [header, ...rows] = parseCSV(text);
+    if (!header || !header.includes('id') || !header.includes('quantity')) {
+        throw new Error('Not a cart CSV file');
+    }
+
+    return rows.map(fields => {
+        // { id: 'm3', quantity: '2', paint: 'alpine-white', ... } by column name
+        const row = {};
+        header.forEach((column, i) => {
+            row[column.trim()] = (fields[i] || '').trim();
+        });
+
+        const config = {};
+        for (const group in optionGroups) {
+            if (row[group] !== undefined) {
+                config[group] = optionGroups[group].multiple
+                    ? row[group].split('+').filter(Boolean)
+                    : row[group];
+            }
+        }
+        return { id: row.id, quantity: row.quantity, config: config };
+    });
+}
+
+function cartItemsFromJSON(text) {
+    const migrated = migrateCart(JSON.parse(text));
+    if (!migrated) {
+        throw new Error('Not a cart JSON file');
+    }
+    return migrated.items;
+}
+
+// ===== IMPORT A FILE =====
+// Runs when a file is chosen in the hidden <input type="file"> on ostukorv.html
+function importCart(event) {
+    const input = event.target;
+    const file = input.files[0];
+    // Empty the input, so choosing the same file again still triggers 'change'
+    input.value = '';
+    if (!file) {
+        return;
+    }
+
+    // file.text() reads the file and returns a Promise, like the payment provider
+    file.text()
+        .then(text => {
+            const isJSON = file.name.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+            const items = sanitizeCartItems(isJSON ? cartItemsFromJSON(text) : cartItemsFromCSV(text));
+
+            if (items.length === 0) {
+                showToast(t('transfer.importEmpty'));
+                return;
+            }
+
+            const count = items.reduce((sum, item) => sum + item.quantity, 0);
+            rememberCart('transfer.imported', { count: count });
+            cart = items;
+            saveCart(cart);
+            displayCart();
+            updateCartCount();
+
+            // The stock is checked by displayCart(), like for any saved cart
+            showToast(t('transfer.imported', { count: count }), {
+                action: { label: t('history.undo'), onClick: undoChangeAction() }
+            });
+        })
+        .catch(error => {
+            console.warn('Cart import failed.', error);
+            showToast(t('transfer.importFailed'), 5000);
+        });
+}
@@ -6,61 +6,85 @@
 // - cart array: stores all items user has added
 // - localStorage: browser's built-in storage that persists across page reloads
 // - JSON.stringify/parse: converts between JavaScript objects and text for storage
+// - cart-storage.js: does the actual reading/writing, repairs broken data and
+//   keeps the cart in sync between open tabs
+// - cart-history.js: remembers the cart before every change, for undo/redo
+// - toast.js: the small messages at the bottom-right (showToast())
 
 // ===== INITIALIZE CART FROM BROWSER STORAGE =====
 // When the page loads, this line runs first
 // It checks if there's a saved cart in localStorage
 // If yes, it loads the saved items; if no, it starts with an empty array []
 
-// localStorage.getItem('cart') retrieves data stored under the key 'cart'
-// JSON.parse converts the stored text back into a JavaScript array we can work with
-// Example: stored text '{"id":1,"name":"M3","price":89900}' becomes a real JavaScript object
-// || [] is the "fallback": if nothing is stored, use an empty array instead
-let cart = JSON.parse(localStorage.getItem('cart')) || [];
+// loadCart() comes from cart-storage.js: it reads the saved cart, upgrades carts
+// saved by older versions of the shop, and repairs broken data instead of crashing
+// Example: stored cart with M3 x1 becomes [{ id: "m3", quantity: 1, config: {...} }]
+//
+// Each cart line only stores the product id, quantity and chosen options (config)
+// Name and prices always come from catalog.js, so the cart price can never
+// drift away from the price shown on the card
+// Two M3s with different options are two separate lines (see cartLineKey())
+let cart = loadCart();
 
 // ===== ADD ITEM TO CART FUNCTION =====
 // This runs when user clicks a "Purchase now!" button
-function addToCart(productName, price, productId) {
-    // Log to browser console for debugging - shows what was clicked
-    console.log('addToCart called →', productName, price, productId);
-    
-    // ===== CREATE PRODUCT OBJECT =====
-    // This is a JavaScript object that holds information about one product
-    // Objects are like containers that store data in key-value pairs
-    // Example: { id: 1, name: "BMW M3", price: 89900, quantity: 1 }
-    const product = {
-        id: productId,           // Unique ID to identify this specific BMW model
-        name: productName,       // Car name, e.g., "BMW M3"
-        price: price,            // Price in euros
-        quantity: 1              // How many of this product user is buying (start with 1)
-    };
+// Only the product id is needed - name and price are looked up in the catalog
+// config: the options chosen in the configurator (toode.html); leave it out
+// for a car with standard equipment, e.g. from the cards on esileht.html
+function addToCart(productId, config) {
+    // Look the product up in catalog.js
+    const product = getProduct(productId);
+
+    // Unknown id (e.g. a typo in the HTML): do nothing instead of adding a broken line
+    if (!product) {
+        console.warn(`addToCart: unknown product id "${productId}"`);
+        return;
+    }
+    
+    // ===== CHECK STOCK =====
+    // Sold out, or all the cars we have are already in the cart: don't add another
+    // Every configuration of a model counts against the same stock
+    if (cartQuantityOf(productId) >= maxQuantity(product)) {
+        showToast(stockLimitMessage(product));
+        return;
+    }
+    
+    // Remember the cart as it is now, so this add can be undone (cart-history.js)
+    rememberCart('history.add', { name: product.name });
+    
+    // Fill in standard choices and drop options this model doesn't offer (catalog.js)
+    const line = { id: productId, quantity: 1, config: normalizeConfiguration(product, config) };
     
     // ===== CHECK IF PRODUCT ALREADY IN CART =====
-    // find() searches through the cart array looking for a matching product
+    // find() searches through the cart array looking for a matching line
     // It returns the first match, or undefined if not found
-    // This allows us to handle duplicate purchases (increase quantity instead of adding twice)
-    const existingProduct = cart.find(item => item.id === productId);
+    // A line matches when the product AND all its options are the same
+    const existingProduct = cart.find(item => cartLineKey(item) === cartLineKey(line));
     
     // ===== HANDLE DUPLICATE PURCHASE =====
-    // If user clicks "Purchase now!" for M3 twice, we increase quantity instead of adding twice
+    // If user clicks "Purchase now!" for the same M3 twice, we increase quantity instead of adding twice
+    // An M3 with other options gets its own line
     if (existingProduct) {
         // Product already in cart, so just increase its quantity by 1
         existingProduct.quantity += 1;  // '+= 1' is shorthand for 'quantity = quantity + 1'
     } else {
         // Product not in cart yet, so add it as a new entry
-        // push() adds the new product to the end of the cart array
-        cart.push(product);
+        // push() adds a new line to the end of the cart array
+        // Example: { id: "m3", quantity: 1, config: { paint: "alpine-white", ... } }
+        cart.push(line);
     }
     
     // ===== SAVE TO BROWSER STORAGE =====
     // This is crucial! Without this line, cart would be lost when user refreshes the page
-    // localStorage.setItem(key, value) stores data for later
-    // JSON.stringify converts our JavaScript array into text that can be stored
-    // localStorage persists even after the browser is closed
-    localStorage.setItem('cart', JSON.stringify(cart));
+    // saveCart() (cart-storage.js) stores the cart in localStorage together with
+    // its format version; localStorage persists even after the browser is closed
+    saveCart(cart);
+    
+    // Tell analytics (events.js) which car was added, with which options
+    publishShopEvent('product_added', { id: productId, config: line.config });
     
     // ===== CALCULATE TOTAL ITEMS FOR TOAST MESSAGE =====
-    // We want to show user "✓ BMW M3 added! (3 in cart)"
+    // We want to show user "✓ BMW M3 added! (3 cars in cart)"
     // So we count total items: if user has M3(qty=2) and M4(qty=1), total is 3
     // reduce() is a powerful function that accumulates a result by looping through items
     // (sum, item) => sum + item.quantity:
@@ -73,28 +97,47 @@ function addToCart(productName, price, productId) {
     // Instead of using alert() (which blocks everything), we show a toast
     // Toast is a small notification that appears and disappears automatically
     // It shows what was added and current cart count
-    showToast(`✓ ${productName} added! (${totalItems} in cart)`);
+    // t() (i18n.js) picks "1 car" or "3 cars" from the count
+    // A model that isn't here yet is a pre-order, so the message says so
+    // The "Undo" button in the toast takes the car out again
+    const messageKey = product.availability.status === 'pre-order' ? 'cart.preOrdered' : 'cart.added';
+    showToast(t(messageKey, { name: product.name, count: totalItems }), {
+        action: { label: t('history.undo'), onClick: undoChangeAction() }
+    });
     
     // ===== UPDATE CART BADGE =====
     // The red badge next to the cart icon shows "3 items"
     // Call updateCartCount() to refresh this badge with the new total
     updateCartCount();
+    
+    // Redraw the cart list - on esileht.html that is the mini-cart drawer
+    displayCart();
 }
 
 // ===== FUNCTION TO REMOVE ITEM FROM CART =====
-function removeFromCart(productId) {
+// lineKey: which line to remove, from cartLineKey() (cart-storage.js)
+function removeFromCart(lineKey) {
     // Find the index (position) of the item in the cart array
-    const index = cart.findIndex(item => item.id === productId);
+    const index = cart.findIndex(item => cartLineKey(item) === lineKey);
     
     // If item was found (index is not -1)
     if (index > -1) {
+        const name = getProduct(cart[index].id).name;
+        rememberCart('history.remove', { name: name });
+        
         // Remove the item from the cart array
         // splice(index, 1) removes 1 item at the specified index
-        cart.splice(index, 1);
+        const [removed] = cart.splice(index, 1);
+        publishShopEvent('product_removed', { id: removed.id, quantity: removed.quantity });
+        
+        // No "Are you sure?" - the toast has an "Undo" button instead
+        showToast(t('history.remove', { name: name }), {
+            action: { label: t('history.undo'), onClick: undoChangeAction() }
+        });
     }
     
     // Save the updated cart to localStorage
-    localStorage.setItem('cart', JSON.stringify(cart));
+    saveCart(cart);
     
     // Refresh the cart display on the page
     displayCart();
@@ -104,21 +147,44 @@ function removeFromCart(productId) {
 }
 
 // ===== FUNCTION TO CHANGE QUANTITY OF AN ITEM =====
-function updateQuantity(productId, newQuantity) {
-    // Find the product in the cart with this ID
-    const product = cart.find(item => item.id === productId);
+// lineKey: which line to change, from cartLineKey() (cart-storage.js)
+function updateQuantity(lineKey, newQuantity) {
+    // Find the line in the cart with this key
+    const product = cart.find(item => cartLineKey(item) === lineKey);
+    
+    // The number box can contain anything ("", "abc", "2.5")
+    // Math.floor keeps whole cars only; anything that isn't a number is ignored
+    newQuantity = Math.floor(Number(newQuantity));
+    if (Number.isNaN(newQuantity)) {
+        displayCart(); // Put the old quantity back in the box
+        return;
+    }
     
     // If product exists
     if (product) {
         // If new quantity is 0 or less, remove the product entirely
         if (newQuantity <= 0) {
-            removeFromCart(productId);
+            removeFromCart(lineKey);
         } else {
+            // Not more than the stock allows: the other lines of the same model
+            // count too. Lowering the quantity is always allowed
+            const model = getProduct(product.id);
+            const allowed = maxQuantity(model) - (cartQuantityOf(product.id) - product.quantity);
+            if (newQuantity > product.quantity && newQuantity > allowed) {
+                newQuantity = Math.max(allowed, product.quantity);
+                showToast(stockLimitMessage(model));
+            }
+            
+            // Nothing changes (e.g. already at the stock limit): nothing to undo either
+            if (newQuantity !== product.quantity) {
+                rememberCart('history.quantity', { name: model.name, count: newQuantity });
+            }
+            
             // Otherwise, update the quantity to the new value
             product.quantity = newQuantity;
             
             // Save to localStorage
-            localStorage.setItem('cart', JSON.stringify(cart));
+            saveCart(cart);
             
             // Refresh the display
             displayCart();
@@ -129,69 +195,231 @@ function updateQuantity(productId, newQuantity) {
     }
 }
 
-// ===== FUNCTION TO CALCULATE TOTAL PRICE =====
-function calculateTotal() {
+// ===== HOW MANY CARS OF ONE MODEL ARE IN THE CART? =====
+// All lines of the model together, e.g. a white M3 x1 and a green M3 x2 → 3
+function cartQuantityOf(productId) {
+    return cart
+        .filter(item => item.id === productId)
+        .reduce((sum, item) => sum + item.quantity, 0);
+}
+
+// "BMW M5 is sold out." or "Only 2 × BMW M4 can be ordered."
+function stockLimitMessage(product) {
+    const limit = maxQuantity(product);
+    return limit === 0
+        ? t('stock.soldOut', { name: product.name })
+        : t('stock.limit', { name: product.name, count: limit });
+}
+
+// ===== CHECK THE WHOLE CART AGAINST THE STOCK =====
+// A saved cart can be days old: a model may have sold out since, or have fewer cars left
+// Returns one entry per model that can't be ordered as it is, e.g.
+// { m4: { status: 'too-many', available: 2 } } - an empty object means all is fine
+function cartStockProblems() {
+    const problems = {};
+    cart.forEach(item => {
+        const available = maxQuantity(getProduct(item.id));
+        if (available === 0) {
+            problems[item.id] = { status: 'sold-out', available: 0 };
+        } else if (cartQuantityOf(item.id) > available) {
+            problems[item.id] = { status: 'too-many', available: available };
+        }
+    });
+    return problems;
+}
+
+function hasStockProblems() {
+    return Object.keys(cartStockProblems()).length > 0;
+}
+
+// ===== CART LINES WITH CATALOG PRICES =====
+// Returns [{ id, price, quantity }] - the shape promo.js needs to work out discounts
+// price = the price of ONE car including its options
+function cartPriceLines() {
+    return cart.map(item => ({
+        id: item.id,
+        price: configuredPrice(getProduct(item.id), item.config),
+        quantity: item.quantity
+    }));
+}
+
+// ===== FUNCTION TO CALCULATE PRICE BEFORE DISCOUNTS =====
+function calculateSubtotal() {
     // Start with 0
-    // For each item in the cart, multiply price by quantity
+    // For each item in the cart, multiply the catalog price by quantity
     // Add to the running total
     // reduce() goes through each item and accumulates a result
-    return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+    return cartPriceLines().reduce((total, line) => total + (line.price * line.quantity), 0);
+}
+
+// ===== FUNCTION TO CALCULATE TOTAL PRICE =====
+// Subtotal minus every discount from the applied promo codes (see promo.js)
+function calculateTotal() {
+    const subtotal = calculateSubtotal();
+    const discounts = calculateDiscounts(cartPriceLines(), subtotal);
+    const totalDiscount = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+    return subtotal - totalDiscount;
+}
+
+// ===== ONE CART LINE =====
+// Used for the list on ostukorv.html and for the mini-cart drawer on esileht.html,
+// so both show the same controls and call the same functions
+// problem: this line's entry from cartStockProblems(), or undefined
+// data-focus-id: lets displayMiniCart() put the keyboard focus back after a redraw
+function cartLineHTML(item, problem) {
+    const product = getProduct(item.id); // Name and price come from the catalog
+    const price = configuredPrice(product, item.config); // One car with its options
+    const key = cartLineKey(item); // Tells the buttons which line they belong to
+    const warningHTML = problem
+        ? `<p class="stock-warning">${problem.status === 'sold-out' ? t('stock.lineSoldOut') : t('stock.lineTooMany', { count: problem.available })}</p>`
+        : '';
+    
+    return `
+        <div class="cart-item${problem ? ' has-stock-problem' : ''}">
+            <div class="item-info">
+                <h3>${product.name}</h3>
+                <p class="item-options">${describeConfiguration(item.config).join(' · ')}</p>
+                ${availabilityBadgeHTML(product)}
+                <p>${t('cart.price', { amount: formatMoney(price) })}</p>
+                ${warningHTML}
+            </div>
+            
+            <div class="item-quantity">
+                <button onclick="updateQuantity('${key}', ${item.quantity - 1})" data-focus-id="less/${key}"
+                        aria-label="${t('cart.decrease', { name: product.name })}">−</button>
+                <input type="number" value="${item.quantity}" 
+                       onchange="updateQuantity('${key}', Number(this.value))" 
+                       min="1" data-focus-id="quantity/${key}"
+                       aria-label="${t('cart.quantity', { name: product.name })}">
+                <button onclick="updateQuantity('${key}', ${item.quantity + 1})" data-focus-id="more/${key}"
+                        aria-label="${t('cart.increase', { name: product.name })}">+</button>
+            </div>
+            
+            <div class="item-total">
+                <p>${t('cart.total', { amount: formatMoney(price * item.quantity) })}</p>
+            </div>
+            
+            <button class="btn-remove" onclick="removeFromCart('${key}')" data-focus-id="remove/${key}">${t('cart.remove')}</button>
+        </div>
+    `;
 }
 
 // ===== FUNCTION TO DISPLAY CART ON THE PAGE =====
+// Draws the list on ostukorv.html, and the mini-cart drawer where the page has one
 function displayCart() {
+    // The drawer (esileht.html) is drawn first: it has its own container
+    displayMiniCart();
+    
     // Get the HTML element where we want to show the cart
     const cartContainer = document.getElementById('cart-items');
     
+    // Pages without a cart list (e.g. toode.html) have nothing more to display
+    if (!cartContainer) {
+        return;
+    }
+    
     // If the cart is empty
     if (cart.length === 0) {
         // Show an empty message
-        cartContainer.innerHTML = '<p>Cart is empty.</p>'; // "Cart is empty" in Estonian
+        cartContainer.innerHTML = `<p>${t('cart.empty')}</p>`;
+        // Remove the old total and "Pay" button - there is nothing to pay for
+        document.getElementById('cart-total').innerHTML = '';
+        renderFinancingPanel(); // Hides the financing panel (financing.js)
         return; // Stop the function here
     }
     
-    // Start building the HTML for the cart
-    let html = '';
+    // Lines of sold-out models, or of models with too many cars, get a warning
+    const problems = cartStockProblems();
     
-    // Loop through each item in the cart
-    for (let i = 0; i < cart.length; i++) {
-        const item = cart[i]; // Get the current item
-        
-        // Create HTML for this item
-        html += `
-            <div class="cart-item">
-                <div class="item-info">
-                    <h3>${item.name}</h3>
-                    <p>Hind: €${item.price}</p>
-                </div>
-                
-                <div class="item-quantity">
-                    <button onclick="updateQuantity(${item.id}, ${item.quantity - 1})">−</button>
-                    <input type="number" value="${item.quantity}" 
-                           onchange="updateQuantity(${item.id}, this.value)" 
-                           min="1">
-                    <button onclick="updateQuantity(${item.id}, ${item.quantity + 1})">+</button>
-                </div>
-                
-                <div class="item-total">
-                    <p>Kokku: €${(item.price * item.quantity).toFixed(2)}</p>
-                </div>
-                
-                <button class="btn-remove" onclick="removeFromCart(${item.id})">Remove</button>
-            </div>
-        `;
-    }
+    // Build the HTML for every line; map() + join('') turns the lines into one text
+    const html = cart.map(item => cartLineHTML(item, problems[item.id])).join('');
     
     // Put all the HTML into the page
     cartContainer.innerHTML = html;
     
-    // Display the total price
+    // Display the subtotal, one line per applied promo code, and the total price
+    const subtotal = calculateSubtotal();
+    const discounts = calculateDiscounts(cartPriceLines(), subtotal);
     const total = calculateTotal();
+    
+    let discountHTML = '';
+    discounts.forEach(discount => {
+        // Codes that don't qualify right now show why instead of an amount
+        const amountText = discount.note ? `(${discount.note})` : `−${formatMoney(discount.amount)}`;
+        discountHTML += `
+            <p class="discount-line">
+                ${discount.code} – ${discount.label}: ${amountText}
+                <button class="btn-remove-promo" onclick="removePromoCode('${discount.code}')" aria-label="${t('cart.removePromo', { code: discount.code })}">✕</button>
+            </p>
+        `;
+    });
+    
+    // Prices include VAT, so the breakdown works backwards from the total (see money.js)
+    const vat = calculateVat(total);
+    
+    // When prices are shown in SEK or USD, also show what will actually be charged
+    const chargedHTML = getDisplayCurrency() !== BASE_CURRENCY
+        ? `<p class="charged-note">${t('cart.chargedInEuros', { amount: formatEuro(total) })}</p>`
+        : '';
+    
     document.getElementById('cart-total').innerHTML = `
-        <h2>Total: €${total.toFixed(2)}</h2>
-        <button class="btn-checkout">Pay</button>
-        <button class="btn-continue" onclick="location.href='esileht.html'">Continue shopping</button>
+        ${discounts.length > 0 ? `<p>${t('cart.subtotal', { amount: formatMoney(subtotal) })}</p>` : ''}
+        ${discountHTML}
+        <div class="vat-breakdown">
+            <p>${t('cart.net', { amount: formatMoney(vat.net) })}</p>
+            <p>${t('cart.vat', { rate: VAT_RATE * 100, amount: formatMoney(vat.vat) })}</p>
+        </div>
+        <h2>${t('cart.total', { amount: formatMoney(total) })}</h2>
+        ${chargedHTML}
+        ${Object.keys(problems).length > 0 ? `<p class="stock-warning">${t('stock.fixCart')}</p>` : ''}
+        <button class="btn-checkout" onclick="startCheckout()"${Object.keys(problems).length > 0 ? ' disabled' : ''}>${t('cart.pay')}</button>
+        <button class="btn-continue" onclick="location.href='esileht.html'">${t('cart.continue')}</button>
     `;
+    
+    // The monthly payments under the total depend on it too (financing.js)
+    renderFinancingPanel();
+}
+
+// ===== MINI-CART DRAWER =====
+// The slide-out cart on esileht.html (opened and closed by cart-drawer.js)
+// Same lines as the cart page, with a running total and a "Go to checkout" button
+function displayMiniCart() {
+    const container = document.getElementById('mini-cart-items');
+    
+    // Pages without the drawer have nothing to display
+    if (!container) {
+        return;
+    }
+    
+    // innerHTML replaces the buttons, and the one that had the keyboard focus
+    // with them: remember which one it was, to focus the new one afterwards
+    const focused = container.contains(document.activeElement) ? document.activeElement.dataset.focusId : null;
+    const footer = document.getElementById('mini-cart-total');
+    
+    if (cart.length === 0) {
+        container.innerHTML = `<p class="drawer-empty">${t('cart.empty')}</p>`;
+        footer.innerHTML = '';
+    } else {
+        const problems = cartStockProblems();
+        const hasProblems = Object.keys(problems).length > 0;
+        const count = cart.reduce((sum, item) => sum + item.quantity, 0);
+        
+        container.innerHTML = cart.map(item => cartLineHTML(item, problems[item.id])).join('');
+        footer.innerHTML = `
+            <p class="drawer-count">${t('drawer.count', { count: count })}</p>
+            <h3>${t('cart.total', { amount: formatMoney(calculateTotal()) })}</h3>
+            ${hasProblems ? `<p class="stock-warning">${t('stock.fixCart')}</p>` : ''}
+            <button class="btn primary" onclick="startCheckout()"${hasProblems ? ' disabled' : ''}>${t('drawer.checkout')}</button>
+            <a href="ostukorv.html" class="drawer-view-cart">${t('drawer.viewCart')}</a>
+        `;
+    }
+    
+    if (focused) {
+        // The same button in the new HTML; when its line is gone (removed),
+        // focus goes to the drawer itself, so the keyboard stays inside
+        const again = [...container.querySelectorAll('[data-focus-id]')].find(element => element.dataset.focusId === focused);
+        (again || document.getElementById('cart-drawer')).focus();
+    }
 }
 
 // ===== FUNCTION TO UPDATE CART COUNT BADGE =====
@@ -212,25 +440,56 @@ function updateCartCount() {
     }
 }
 
+// ===== FUNCTION TO EMPTY THE CART WITHOUT ASKING =====
+// Used by clearCart(), and by checkout.js after a paid order (that can't be undone)
+function emptyCart() {
+    // Reset cart to empty array
+    cart = [];
+    // Save the empty cart to localStorage
+    saveCart(cart);
+    
+    // Refresh the display
+    displayCart();
+    
+    // Update cart count
+    updateCartCount();
+}
+
 // ===== FUNCTION TO CLEAR ENTIRE CART =====
+// No blocking confirm(): the cart is emptied at once, and the toast's
+// "Undo" button (or Ctrl+Z) brings everything back
 function clearCart() {
-    // Ask user for confirmation (prevent accidental deletion)
-    if (confirm('Oled sa kindel? Kõik tooted eemaldatakse ostukorvist.')) {
-        // Reset cart to empty array
-        cart = [];
-        // Remove from localStorage
-        localStorage.setItem('cart', JSON.stringify(cart));
-        
-        // Refresh the display
-        displayCart();
-        
-        // Update cart count
-        updateCartCount();
-    } else {
-            // User cancelled, do nothing
-            console.log('Cart clear cancelled by user');
-        }
+    if (cart.length === 0) {
+        return;
+    }
+    rememberCart('history.clear');
+    emptyCart();
+    showToast(t('history.clear'), {
+        action: { label: t('history.undo'), onClick: undoChangeAction() }
+    });
+}
+
+// ===== FUNCTION TO START CHECKOUT =====
+// Runs when the user clicks "Pay" on the cart page
+function startCheckout() {
+    // Nothing to pay for
+    if (cart.length === 0) {
+        showToast(t('cart.emptyToast'));
+        return;
     }
+    
+    // Sold-out cars or too many of a model: fix the cart first
+    if (hasStockProblems()) {
+        showToast(t('stock.fixCart'));
+        return;
+    }
+    
+    publishShopEvent('checkout_started', { lines: cart.length, total: calculateTotal() });
+    
+    // The checkout steps live on their own page (kassa.html, see checkout.js)
+    location.href = 'kassa.html';
+}
+
 // ===== RUN THESE FUNCTIONS WHEN PAGE LOADS =====
 window.addEventListener('DOMContentLoaded', function() {
     // Display the cart when the page first loads
@@ -238,48 +497,37 @@ window.addEventListener('DOMContentLoaded', function() {
     
     // Update the cart count badge
     updateCartCount();
+    
+    // The saved cart is checked against the stock again: tell the customer
+    // on the cart page when something sold out since it was added
+    if (document.getElementById('cart-items') && hasStockProblems()) {
+        showToast(t('stock.fixCart'), 5000);
+    }
+    
+    // The cart page counts as a look at the cart (the drawer is counted in cart-drawer.js)
+    if (document.getElementById('cart-items')) {
+        publishShopEvent('cart_viewed', { via: 'page', lines: cart.length });
+    }
 });
 
-// ===== TOAST NOTIFICATION HELPER =====
-// Shows a small non-blocking message at the bottom-right of the page
-function showToast(message, duration = 2500) {
-    // Try to find an existing toast container
-    let toast = document.getElementById('toast');
+// Redraw the cart prices when the customer picks another currency (see money.js)
+window.addEventListener('currencychange', displayCart);
 
-    // If not present, create it and append to body
-    if (!toast) {
-        toast = document.createElement('div');
-        toast.id = 'toast';
-        // Basic styles — these can be overridden by page CSS
-        toast.style.position = 'fixed';
-        toast.style.right = '20px';
-        toast.style.bottom = '20px';
-        toast.style.background = '#222';
-        toast.style.color = '#fff';
-        toast.style.padding = '12px 18px';
-        toast.style.borderRadius = '8px';
-        toast.style.boxShadow = '0 6px 18px rgba(0,0,0,0.4)';
-        toast.style.zIndex = 9999;
-        toast.style.opacity = '0';
-        toast.style.transition = 'opacity 200ms ease-in-out, transform 200ms ease-in-out';
-        document.body.appendChild(toast);
-    }
+// ...and its texts when the customer picks another language (see i18n.js)
+window.addEventListener('languagechange', displayCart);
 
-    // Set message and show
-    toast.textContent = message;
-    toast.style.display = 'block';
-    // force reflow so transition works when changing opacity
-    // eslint-disable-next-line no-unused-expressions
-    toast.offsetWidth;
-    toast.style.opacity = '1';
-    toast.style.transform = 'translateY(0)';
+// ===== KEEP OPEN TABS IN SYNC =====
+// When the cart changes in another tab, take over its cart and redraw
+// the list and badge here too, so two tabs never overwrite each other
+onCartChangedElsewhere(function(newCart) {
+    cart = newCart;
+    displayCart();
+    updateCartCount();
+});
 
-    // Hide after the duration
-    setTimeout(() => {
-        toast.style.opacity = '0';
-        // after transition, remove from flow
-        setTimeout(() => {
-            toast.style.display = 'none';
-        }, 220);
-    }, duration);
-}
+// ...and when sync.js shows the cart from the server (changed on another device)
+window.addEventListener('cartsynced', function(event) {
+    cart = event.detail.items;
+    displayCart();
+    updateCartCount();
+});
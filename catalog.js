@@ -0,0 +1,449 @@
+// ===== PRODUCT CATALOG =====
+// This file is the ONE place where every BMW model is described
+// The product cards on esileht.html, the detail page (toode.html) and the cart
+// all read their data from the products array below
+//
+// Key concepts:
+// - products array: one object per car model
+// - id: short text id used in links (toode.html?id=m3) and in the cart
+// - render functions: build the HTML from the data, so nothing is typed twice
+// - options: what can be chosen in the configurator on toode.html (paint, wheels, ...)
+// - availability: is the model in stock (and how many), a pre-order, or sold out
+//
+// Adding a new model (e.g. M2 or XM) = adding ONE new object to the array
+
+// ===== ALL PRODUCTS =====
+const products = [
+    {
+        id: 'm3',
+        name: 'BMW M3',
+        price: 89900,                       // Price in euros
+        badge: { text: 'Sports Classic', style: '' },
+        featured: false,                    // Featured cards get a blue border
+        image: 'https://www.perfectautocollection.com/imagetag/3117/2/l/Used-2024-BMW-M3-1719347287.jpg',
+        tagline: 'Ideal balance between everyday usability and track performance.',
+        description: 'BMW M3 is a legend that combines sports car performance and everyday usability. RWD or xDrive gives the driver complete control.',
+        specs: {
+            engine: '3.0L Twin-Turbo R6',
+            hp: 480,
+            acceleration: 4.2,              // 0–100 km/h in seconds
+            drivetrain: 'RWD'
+        },
+        highlights: ['Automatic or manual transmission.'],
+        // status: 'in-stock' (stock = cars we have), 'pre-order' (expected = delivery month)
+        // or 'sold-out'; year = model year, used by the "Newest" sort
+        availability: { status: 'in-stock', stock: 4, year: 2024 },
+        // Choices that differ from the shared optionGroups below (first = standard)
+        options: {
+            transmission: ['automatic', 'manual'],
+            drivetrain: ['rwd', 'xdrive']
+        }
+    },
+    {
+        id: 'm4',
+        name: 'BMW M4',
+        price: 94900,
+        badge: { text: 'Road legend', style: 'blue' },
+        featured: true,
+        image: 'https://accelerista.com/wp-content/uploads/2024/05/P90548559_lowRes_the-all-new-bmw-m4-c.jpg',
+        tagline: 'Aggressive design. Pure adrenaline.',
+        description: 'BMW M4 is a coupe designed for emotions. The perfect choice for drivers who want to stand out.',
+        specs: {
+            engine: '3.0L Twin-Turbo R6',
+            hp: 510,
+            acceleration: 3.9,
+            drivetrain: 'M xDrive'
+        },
+        highlights: ['Sportlik kupee'],
+        availability: { status: 'in-stock', stock: 2, year: 2022 },
+        options: {
+            transmission: ['automatic'],
+            drivetrain: ['xdrive']
+        }
+    },
+    {
+        id: 'm5',
+        name: 'BMW M5',
+        price: 129900,
+        badge: { text: 'Luxury power', style: '' },
+        featured: false,
+        image: 'https://r44performance.com/cdn/shop/articles/BMW-G90-M5-Review-Specs.jpg?v=1719568245&width=1500',
+        tagline: 'Luxury that moves like a supercar',
+        description: 'BMW M5 combines luxury and performance in a way that is unmatched. Perfect for any situation.',
+        specs: {
+            engine: '4.4L Twin-Turbo V8',
+            hp: 625,
+            acceleration: 3.3,
+            drivetrain: 'M xDrive'
+        },
+        highlights: ['M xDrive four-wheel drive'],
+        availability: { status: 'pre-order', expected: '2027-03', year: 2025 },
+        options: {
+            transmission: ['automatic'],
+            drivetrain: ['xdrive']
+        }
+    }
+];
+
+// ===== PRE-ORDERS =====
+// A pre-order reserves a car that isn't here yet; one customer can reserve this many of a model
+const MAX_PRE_ORDER = 2;
+
+// ===== CONFIGURATION OPTIONS =====
+// Every model can be configured with these groups of choices
+// - price: extra cost in euros on top of the model price
+// - the FIRST choice a model offers in a group is its standard equipment and is
+//   always included in the price (the M4's only drivetrain, xDrive, costs nothing extra)
+// - multiple: true means any number of choices (packages), otherwise exactly one
+// - a product's own options list (see above) limits which choices it offers
+// The names are translated in i18n.js: 'config.group.<group>' and 'option.<group>.<id>'
+const optionGroups = {
+    paint: {
+        choices: [
+            { id: 'alpine-white', price: 0 },
+            { id: 'black-sapphire', price: 1200 },
+            { id: 'isle-of-man-green', price: 2400 },
+            { id: 'frozen-portimao-blue', price: 5900 }
+        ]
+    },
+    wheels: {
+        choices: [
+            { id: 'standard', price: 0 },
+            { id: 'forged', price: 2900 }
+        ]
+    },
+    transmission: {
+        choices: [
+            { id: 'automatic', price: 0 },
+            { id: 'manual', price: 0 }
+        ]
+    },
+    drivetrain: {
+        choices: [
+            { id: 'rwd', price: 0 },
+            { id: 'xdrive', price: 4500 }
+        ]
+    },
+    packages: {
+        multiple: true,
+        choices: [
+            { id: 'comfort', price: 2100 },
+            { id: 'drivers', price: 2700 },
+            { id: 'carbon', price: 6900 },
+            { id: 'ceramic-brakes', price: 8500 }
+        ]
+    }
+};
+
+// ===== FIND ONE PRODUCT BY ID =====
+// Returns the product object, or undefined if the id is unknown
+// Example: getProduct('m4') → { id: 'm4', name: 'BMW M4', ... }
+function getProduct(productId) {
+    return products.find(product => product.id === productId);
+}
+
+// ===== WHICH CHOICES DOES A MODEL OFFER IN A GROUP? =====
+// Returns the choice objects, standard choice first
+function allowedChoices(product, group) {
+    const choices = optionGroups[group].choices;
+    const offered = product.options && product.options[group];
+    if (!offered) {
+        return choices;
+    }
+    return offered.map(id => choices.find(choice => choice.id === id)).filter(Boolean);
+}
+
+// ===== CLEAN UP A CONFIGURATION =====
+// Returns a complete configuration the model really offers, e.g.
+// { paint: 'alpine-white', wheels: 'standard', transmission: 'manual', drivetrain: 'rwd', packages: ['carbon'] }
+// Missing or unknown choices become the standard choice; packages are kept in
+// catalog order without duplicates, so the same options always give the same result
+function normalizeConfiguration(product, config) {
+    const source = config && typeof config === 'object' ? config : {};
+    const result = {};
+
+    for (const group in optionGroups) {
+        const allowed = allowedChoices(product, group).map(choice => choice.id);
+        if (optionGroups[group].multiple) {
+            const picked = Array.isArray(source[group]) ? source[group] : [];
+            result[group] = allowed.filter(id => picked.includes(id));
+        } else {
+            result[group] = allowed.includes(source[group]) ? source[group] : allowed[0];
+        }
+    }
+    return result;
+}
+
+// The configuration a car gets when nothing is chosen ("Purchase now!" on a card)
+function defaultConfiguration(product) {
+    return normalizeConfiguration(product, {});
+}
+
+// ===== PRICE OF ONE CHOICE =====
+// The standard choice of a single-choice group is included in the model price
+function optionPrice(product, group, choiceId) {
+    const allowed = allowedChoices(product, group);
+    const choice = allowed.find(option => option.id === choiceId);
+    if (!choice || (!optionGroups[group].multiple && choice === allowed[0])) {
+        return 0;
+    }
+    return choice.price;
+}
+
+// ===== PRICE OF A CONFIGURED CAR =====
+// Model price plus the price of every chosen option
+function configuredPrice(product, config) {
+    let price = product.price;
+    for (const group in optionGroups) {
+        [].concat(config[group]).forEach(choiceId => {
+            price += optionPrice(product, group, choiceId);
+        });
+    }
+    return price;
+}
+
+// ===== SHORT TEXT KEY FOR A CONFIGURATION =====
+// 'alpine-white/standard/manual/rwd/comfort+carbon' - two cars with the same
+// options get the same key (used to keep differently configured cars apart in the cart)
+function configurationKey(config) {
+    return Object.keys(optionGroups)
+        .map(group => [].concat(config[group]).join('+'))
+        .join('/');
+}
+
+// ===== NAMES OF THE CHOSEN OPTIONS =====
+// ['Alpine White', '19"/20" M light-alloy wheels', ...] in the chosen language
+// Choices that are no longer in the catalog (old orders) are left out
+function describeConfiguration(config) {
+    const names = [];
+    for (const group in optionGroups) {
+        [].concat(config[group] || []).forEach(choiceId => {
+            if (optionGroups[group].choices.some(choice => choice.id === choiceId)) {
+                names.push(t(`option.${group}.${choiceId}`));
+            }
+        });
+    }
+    return names;
+}
+
+// ===== HOW MANY CARS OF A MODEL CAN BE ORDERED? =====
+// In stock: as many as we have; pre-order: MAX_PRE_ORDER; sold out: none
+// This counts every configuration of the model together (cart.js adds the lines up)
+function maxQuantity(product) {
+    const availability = product.availability;
+    if (availability.status === 'in-stock') {
+        return availability.stock;
+    }
+    if (availability.status === 'pre-order') {
+        return MAX_PRE_ORDER;
+    }
+    return 0;
+}
+
+// "March 2026" / "märts 2026" from the expected month '2026-03'
+function formatExpectedDate(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Intl.DateTimeFormat(getLanguage(), { month: 'long', year: 'numeric' })
+        .format(new Date(year, monthNumber - 1, 1));
+}
+
+// ===== AVAILABILITY TEXT =====
+// e.g. "4 in stock", "Pre-order – expected March 2026", "Sold out"
+function availabilityText(product) {
+    const availability = product.availability;
+    if (availability.status === 'in-stock') {
+        return t('product.inStock', { count: availability.stock });
+    }
+    if (availability.status === 'pre-order') {
+        return t('product.preOrder', { date: formatExpectedDate(availability.expected) });
+    }
+    return t('product.soldOut');
+}
+
+// ===== AVAILABILITY BADGE =====
+// Shown on the cards, the detail page and every cart line; pood.css colours it by status
+function availabilityBadgeHTML(product) {
+    return `<span class="stock-badge ${product.availability.status}">${availabilityText(product)}</span>`;
+}
+
+// ===== TEXT OF THE BUY BUTTON =====
+// Pre-order models are reserved, not bought; sold-out models can't be added at all
+function buyButtonText(product) {
+    if (product.availability.status === 'pre-order') {
+        return t('product.preOrderButton');
+    }
+    return product.availability.status === 'sold-out' ? t('product.soldOut') : t('product.buy');
+}
+
+// ===== PRODUCT PHOTO =====
+// The photos are on other websites; when one can't be loaded (no connection,
+// the site is down) a grey car outline is shown instead of a broken image
+// onerror = null first, so a missing placeholder can't start an endless loop
+// (sw.js does the same for pages it controls, and also keeps the photos offline)
+const PLACEHOLDER_IMAGE = 'placeholder-car.svg';
+
+function productImageHTML(product) {
+    return `<img src="${product.image}" alt="${product.name}" onerror="this.onerror = null; this.src = PLACEHOLDER_IMAGE;">`;
+}
+
+// ===== BUILD HTML FOR ONE PRODUCT CARD =====
+// The data-... attributes are read by filter.js for searching, facets and sorting
+// data-order remembers the catalog position, so "Featured" sorting can restore it
+// The "Compare" checkbox is ticked by compare.js after the cards are built,
+// and the "from €X/month" line is filled in by financing.js
+function productCardHTML(product, index) {
+    const badgeClass = product.badge.style ? `badge ${product.badge.style}` : 'badge';
+    const cardClass = product.featured ? 'card featured' : 'card';
+
+    return `
+        <div class="${cardClass}"
+             data-id="${product.id}"
+             data-name="${product.name}"
+             data-price="${product.price}"
+             data-hp="${product.specs.hp}"
+             data-acceleration="${product.specs.acceleration}"
+             data-drivetrain="${product.specs.drivetrain}"
+             data-availability="${product.availability.status}"
+             data-year="${product.availability.year}"
+             data-order="${index}">
+            <span class="${badgeClass}">${product.badge.text}</span>
+            ${productImageHTML(product)}
+            <h2>${product.name}</h2>
+            <p class="price">${formatMoney(product.price)}</p>
+            <p class="monthly-price"></p>
+            ${availabilityBadgeHTML(product)}
+            <ul>
+                <li>${product.specs.engine}</li>
+                <li>${t('product.hp', { hp: product.specs.hp })}</li>
+                <li>${t('product.acceleration', { seconds: product.specs.acceleration })}</li>
+            </ul>
+            <a href="toode.html?id=${product.id}" class="btn">${t('product.learnMore')}</a>
+            <button class="btn primary" onclick="addToCart('${product.id}')" style="margin-top: 10px;"${maxQuantity(product) === 0 ? ' disabled' : ''}>${buyButtonText(product)}</button>
+            <label class="compare-toggle">
+                <input type="checkbox" data-compare="${product.id}" onchange="toggleCompare('${product.id}')">
+                ${t('compare.toggle')}
+            </label>
+        </div>
+    `;
+}
+
+// ===== RENDER ALL CARDS INTO section.cards =====
+// Runs on esileht.html; does nothing on pages without a .cards section
+function renderProductCards() {
+    const container = document.querySelector('section.cards');
+    if (!container) {
+        return;
+    }
+
+    // map() builds one HTML string per product (and passes its index), join('') glues them together
+    container.innerHTML = products.map(productCardHTML).join('');
+}
+
+// ===== FILL IN THE DETAIL PAGE TEMPLATE =====
+// toode.html?id=m3 → reads "m3" from the address bar and fills the page
+function renderProductPage() {
+    const page = document.getElementById('product-page');
+    if (!page) {
+        return;
+    }
+
+    // URLSearchParams reads the ?id=... part of the address
+    const productId = new URLSearchParams(location.search).get('id');
+    const product = getProduct(productId);
+
+    // Unknown or missing id: show a friendly message instead of an empty page
+    if (!product) {
+        document.title = `${t('product.notFound')} - BMW M Shop`;
+        document.getElementById('product-name').textContent = t('product.notFound');
+        document.getElementById('product-tagline').textContent = t('product.notFoundText');
+        page.innerHTML = '';
+        return;
+    }
+
+    document.title = product.name;
+    document.getElementById('product-name').textContent = product.name;
+    document.getElementById('product-tagline').textContent = product.tagline;
+
+    // Detail list: power, acceleration and the model's own highlights
+    const listItems = [
+        t('product.hp', { hp: product.specs.hp }),
+        t('product.acceleration', { seconds: product.specs.acceleration }),
+        ...product.highlights
+    ].map(text => `<li>${text}</li>`).join('');
+
+    page.innerHTML = `
+        ${productImageHTML(product)}
+        <p>${product.description}</p>
+        <p class="price">${formatMoney(product.price)}</p>
+        ${availabilityBadgeHTML(product)}
+        <ul>${listItems}</ul>
+        <!-- Paint, wheels, packages... and the "Purchase now!" button: filled in by configurator.js -->
+        <div id="configurator" data-product="${product.id}"></div>
+        <!-- Showroom, calendar and free times for a test drive: filled in by test-drive.js -->
+        <section id="test-drive" class="test-drive" data-product="${product.id}"></section>
+    `;
+}
+
+// ===== COUNT THE CARS THE CUSTOMER HAS SEEN =====
+// IntersectionObserver tells us when a card is (at least half) on the screen;
+// each car is counted once per page visit, also when the cards are rebuilt
+// Cards hidden by the filters are never on the screen, so they don't count
+const viewedCards = new Set();
+let cardViewObserver = null;
+
+function watchCardViews() {
+    // Old browsers: no card views, everything else works
+    if (!('IntersectionObserver' in window)) {
+        return;
+    }
+    if (!cardViewObserver) {
+        cardViewObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const productId = entry.target.getAttribute('data-id');
+                if (entry.isIntersecting && !viewedCards.has(productId)) {
+                    viewedCards.add(productId);
+                    publishShopEvent('product_viewed', { id: productId, source: 'card' });
+                }
+            });
+        }, { threshold: 0.5 });
+    }
+    // The old cards are gone after a rebuild: watch the new ones
+    cardViewObserver.disconnect();
+    document.querySelectorAll('section.cards .card').forEach(card => cardViewObserver.observe(card));
+}
+
+// ===== REDRAW PRICES WHEN THE DISPLAY CURRENCY CHANGES =====
+// Only the price text on each card changes, so search filters stay as they are
+function updateCardPrices() {
+    document.querySelectorAll('.card').forEach(card => {
+        const price = parseInt(card.getAttribute('data-price'));
+        card.querySelector('.price').textContent = formatMoney(price);
+    });
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+window.addEventListener('DOMContentLoaded', function() {
+    renderProductCards();
+    renderProductPage();
+    watchCardViews();
+
+    // Opening the detail page counts as a view of its car (once, not on every redraw)
+    const pageProduct = document.getElementById('product-page') && getProduct(new URLSearchParams(location.search).get('id'));
+    if (pageProduct) {
+        publishShopEvent('product_viewed', { id: pageProduct.id, source: 'page' });
+    }
+});
+
+// money.js sends 'currencychange' when the customer picks another currency
+window.addEventListener('currencychange', function() {
+    updateCardPrices();
+    renderProductPage();
+});
+
+// i18n.js sends 'languagechange' when the customer picks another language
+// The cards are rebuilt; filter.js then filters and sorts the new cards again
+window.addEventListener('languagechange', function() {
+    renderProductCards();
+    renderProductPage();
+    watchCardViews();
+});
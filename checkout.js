@@ -0,0 +1,509 @@
+// ===== CHECKOUT SYSTEM =====
+// This file runs the multi-step checkout on kassa.html
+// The customer goes through these steps in order:
+//   1. details  - name, email, phone
+//   2. delivery - home delivery or pickup from a showroom
+//   3. payment  - a method offered by the mock payment provider (payment.js)
+//   4. review   - check everything and accept the terms
+// After paying, the order is saved (orders.js), the cart is emptied and a
+// confirmation is shown. The confirmation address (kassa.html?order=...) survives a reload.
+// When financing was chosen in the cart (financing.js), only the down payment is charged.
+
+// ===== CHECKOUT STEPS IN ORDER =====
+const checkoutSteps = ['details', 'delivery', 'payment', 'review'];
+
+// ===== CHECKOUT STATE =====
+// Everything the customer has entered so far, filled in step by step
+let checkoutData = {
+    customer: {},
+    delivery: {},
+    payment: {}
+};
+
+// Which step is currently visible (index into checkoutSteps)
+let currentStep = 0;
+
+// ===== READ ALL FIELDS OF ONE STEP =====
+// Returns an object like { name: "Mari", email: "mari@example.com" }
+// FormData collects every input/select with a name attribute inside the form
+function readStepForm(step) {
+    const form = document.getElementById(`step-${step}`);
+    const values = {};
+    new FormData(form).forEach((value, key) => {
+        values[key] = typeof value === 'string' ? value.trim() : value;
+    });
+    return values;
+}
+
+// ===== VALIDATION HELPERS =====
+// Each validate function returns an object of errors: { fieldName: "message" }
+// An empty object means everything is correct
+// The messages come from i18n.js ('checkout.error.<field>'), in the chosen language
+
+// isValidEmail() and isValidPhone() are in orders.js: the test drive booking uses them too
+
+// Luhn check: the standard checksum every real card number passes
+// It catches most typos in card numbers before we even talk to the provider
+function passesLuhn(cardNumber) {
+    const digits = cardNumber.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i]);
+        // Every second digit from the right is doubled
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return digits.length >= 12 && sum % 10 === 0;
+}
+
+// Expiry in MM/YY format that is not in the past
+function isValidExpiry(expiry) {
+    const match = /^(\d{2})\/(\d{2})$/.exec(expiry);
+    if (!match) {
+        return false;
+    }
+    const month = parseInt(match[1]);
+    const year = 2000 + parseInt(match[2]);
+    if (month < 1 || month > 12) {
+        return false;
+    }
+    // A card is valid until the end of its expiry month
+    // new Date(year, month, 1) is the first day of the NEXT month
+    return new Date(year, month, 1) > new Date();
+}
+
+function validateDetails(values) {
+    const errors = {};
+    if (!values.name) {
+        errors.name = t('checkout.error.name');
+    }
+    if (!isValidEmail(values.email)) {
+        errors.email = t('checkout.error.email');
+    }
+    if (!isValidPhone(values.phone)) {
+        errors.phone = t('checkout.error.phone');
+    }
+    return errors;
+}
+
+function validateDelivery(values) {
+    const errors = {};
+    if (values.method === 'delivery') {
+        if (!values.address) {
+            errors.address = t('checkout.error.address');
+        }
+        if (!values.city) {
+            errors.city = t('checkout.error.city');
+        }
+        // Estonian postal codes have 5 digits
+        if (!/^\d{5}$/.test(values.postcode)) {
+            errors.postcode = t('checkout.error.postcode');
+        }
+    } else if (values.method === 'pickup') {
+        if (!showrooms.some(room => room.id === values.showroom)) {
+            errors.showroom = t('checkout.error.showroom');
+        }
+    } else {
+        errors.method = t('checkout.error.deliveryMethod');
+    }
+    return errors;
+}
+
+function validatePayment(values) {
+    const errors = {};
+    const method = mockPaymentProvider.methods.find(m => m.id === values.method);
+
+    if (!method) {
+        errors.method = t('checkout.error.paymentMethod');
+    } else if (method.id === 'card') {
+        if (!values.cardName) {
+            errors.cardName = t('checkout.error.cardName');
+        }
+        if (!passesLuhn(values.cardNumber)) {
+            errors.cardNumber = t('checkout.error.cardNumber');
+        }
+        if (!isValidExpiry(values.cardExpiry)) {
+            errors.cardExpiry = t('checkout.error.cardExpiry');
+        }
+        if (!/^\d{3,4}$/.test(values.cardCvc)) {
+            errors.cardCvc = t('checkout.error.cardCvc');
+        }
+    } else if (method.id === 'banklink') {
+        if (!method.banks.includes(values.bank)) {
+            errors.bank = t('checkout.error.bank');
+        }
+    }
+    return errors;
+}
+
+function validateReview(values) {
+    const errors = {};
+    if (values.terms !== 'on') {
+        errors.terms = t('checkout.error.terms');
+    }
+    return errors;
+}
+
+// Map each step name to its validate function
+const stepValidators = {
+    details: validateDetails,
+    delivery: validateDelivery,
+    payment: validatePayment,
+    review: validateReview
+};
+
+// ===== SHOW INLINE ERRORS =====
+// Every field has a <small class="field-error" data-error-for="fieldName"> under it
+// We clear all old messages first, then write the new ones
+function showErrors(step, errors) {
+    const form = document.getElementById(`step-${step}`);
+
+    form.querySelectorAll('.field-error').forEach(element => {
+        element.textContent = '';
+    });
+    form.querySelectorAll('[aria-invalid]').forEach(input => {
+        input.removeAttribute('aria-invalid');
+    });
+
+    for (const field in errors) {
+        const message = form.querySelector(`[data-error-for="${field}"]`);
+        if (message) {
+            message.textContent = errors[field];
+        }
+        // aria-invalid tells screen readers the field has a problem
+        const input = form.querySelector(`[name="${field}"]`);
+        if (input) {
+            input.setAttribute('aria-invalid', 'true');
+        }
+    }
+
+    // Move focus to the first broken field so the user sees what to fix
+    const firstInvalid = form.querySelector('[aria-invalid="true"]');
+    if (firstInvalid) {
+        firstInvalid.focus();
+    }
+}
+
+// ===== SHOW ONE STEP, HIDE THE OTHERS =====
+function showStep(index) {
+    currentStep = index;
+
+    checkoutSteps.forEach((step, i) => {
+        document.getElementById(`step-${step}`).hidden = i !== index;
+    });
+
+    // Highlight the current step in the progress list at the top
+    document.querySelectorAll('.checkout-progress li').forEach((item, i) => {
+        item.classList.toggle('active', i === index);
+        item.classList.toggle('done', i < index);
+    });
+
+    if (checkoutSteps[index] === 'review') {
+        renderReview();
+    }
+}
+
+// ===== GO TO THE NEXT STEP =====
+// Runs when a step form is submitted; only moves on if the step is valid
+function nextStep(event) {
+    // Stop the browser from reloading the page on form submit
+    event.preventDefault();
+
+    const step = checkoutSteps[currentStep];
+    const values = readStepForm(step);
+    const errors = stepValidators[step](values);
+    showErrors(step, errors);
+
+    if (Object.keys(errors).length > 0) {
+        return;
+    }
+
+    // Remember the valid values in the checkout state
+    if (step === 'details') {
+        checkoutData.customer = values;
+    } else if (step === 'delivery') {
+        checkoutData.delivery = values;
+    } else if (step === 'payment') {
+        checkoutData.payment = values;
+    }
+
+    if (step === 'review') {
+        placeOrder();
+    } else {
+        showStep(currentStep + 1);
+    }
+}
+
+// ===== GO BACK ONE STEP =====
+function previousStep() {
+    if (currentStep > 0) {
+        showStep(currentStep - 1);
+    }
+}
+
+// ===== ORDER LINES FROM THE CART =====
+// Copies name and price out of the catalog so the saved order never changes
+// price is for one car including its options; config is what was chosen
+function cartOrderLines() {
+    return cart.map(item => {
+        const product = getProduct(item.id);
+        return {
+            id: item.id,
+            name: product.name,
+            price: configuredPrice(product, item.config),
+            quantity: item.quantity,
+            config: item.config
+        };
+    });
+}
+
+// The payment details we are allowed to keep: never store full card numbers or CVC
+function safePaymentDetails(payment) {
+    const safe = { method: payment.method };
+    if (payment.method === 'card') {
+        safe.cardLast4 = payment.cardNumber.replace(/\D/g, '').slice(-4);
+    } else if (payment.method === 'banklink') {
+        safe.bank = payment.bank;
+    }
+    return safe;
+}
+
+// The financing plan and the down payment charged today (nothing when paying in full)
+function financingHTML(financing) {
+    if (!financing) {
+        return '';
+    }
+    return `
+        <p>${describeFinancing(financing)}</p>
+        <p><strong>${t('finance.dueNow', { amount: formatEuro(financing.downPayment) })}</strong></p>
+    `;
+}
+
+// ===== BUILD THE REVIEW STEP =====
+function renderReview() {
+    const linesHTML = cartOrderLines().map(orderLineHTML).join('');
+
+    const customer = checkoutData.customer;
+
+    document.getElementById('review-summary').innerHTML = `
+        <h3>${t('checkout.yourCars')}</h3>
+        <ul>${linesHTML}</ul>
+        ${discountLinesHTML(calculateDiscounts(cartPriceLines(), calculateSubtotal()))}
+        <p><strong>${t('cart.total', { amount: formatEuro(calculateTotal()) })}</strong></p>
+        ${financingHTML(financingForOrder(calculateTotal()))}
+        <h3>${t('checkout.customer')}</h3>
+        <p>${escapeHTML(customer.name)}<br>${escapeHTML(customer.email)}<br>${escapeHTML(customer.phone)}</p>
+        <h3>${t('checkout.delivery')}</h3>
+        <p>${describeDelivery(checkoutData.delivery)}</p>
+        <h3>${t('checkout.payment')}</h3>
+        <p>${describePayment(safePaymentDetails(checkoutData.payment))}</p>
+    `;
+}
+
+// ===== CHARGE WHAT IS DUE NOW =====
+// Same answer as mockPaymentProvider.charge(); only when the cart has cars and its
+// discounts cover the whole amount, the provider isn't asked and the order counts as paid
+// Any other amount of 0 is a mistake, so the provider still turns it down
+function chargeAmountDue(amountDue, payment, lines, discounts) {
+    if (lines.length > 0 && discounts.length > 0 && amountDue <= 0) {
+        return Promise.resolve({ status: 'approved', transactionId: null });
+    }
+    return mockPaymentProvider.charge(amountDue, payment);
+}
+
+// ===== PAY AND SAVE THE ORDER =====
+function placeOrder() {
+    const payButton = document.getElementById('btn-place-order');
+    const paymentError = document.getElementById('payment-error');
+
+    // The cart may have been emptied in another tab since the checkout was opened
+    if (cart.length === 0) {
+        location.href = 'ostukorv.html';
+        return;
+    }
+
+    // ...or changed, so a car can't be ordered any more
+    if (hasStockProblems()) {
+        paymentError.textContent = t('stock.fixCart');
+        return;
+    }
+
+    // Disable the button so a double click can't pay twice
+    payButton.disabled = true;
+    payButton.textContent = t('checkout.processing');
+    paymentError.textContent = '';
+
+    const subtotal = calculateSubtotal();
+    const discounts = calculateDiscounts(cartPriceLines(), subtotal).filter(discount => discount.amount > 0);
+    const total = calculateTotal();
+    // With financing only the down payment is charged now, the rest is paid monthly
+    const financing = financingForOrder(total);
+    const amountDue = financing ? financing.downPayment : total;
+
+    chargeAmountDue(amountDue, checkoutData.payment, cart, discounts)
+        .then(result => {
+            const order = {
+                number: createOrderNumber(),
+                date: new Date().toISOString(),
+                status: result.status === 'approved' ? 'paid' : 'awaiting payment',
+                customer: checkoutData.customer,
+                delivery: checkoutData.delivery,
+                payment: Object.assign(safePaymentDetails(checkoutData.payment), {
+                    transactionId: result.transactionId
+                }),
+                lines: cartOrderLines(),
+                subtotal: subtotal,
+                discounts: discounts,
+                total: total,
+                financing: financing
+            };
+
+            saveOrder(order);
+            publishShopEvent('order_placed', {
+                number: order.number,
+                status: order.status,
+                total: order.total,
+                ids: order.lines.map(line => line.id)
+            });
+            emptyCart();
+            // Promo codes are used up by the order
+            clearPromoCodes();
+
+            // Put the order number in the address, so a reload shows the confirmation again
+            // replaceState changes the URL without loading a new page
+            history.replaceState(null, '', `kassa.html?order=${encodeURIComponent(order.number)}`);
+            showConfirmation(order);
+        })
+        .catch(error => {
+            // Payment failed: stay on the review step and explain why
+            paymentError.textContent = error.message;
+            payButton.disabled = false;
+            payButton.textContent = t('checkout.payNow');
+        });
+}
+
+// ===== SHOW THE CONFIRMATION SCREEN =====
+function showConfirmation(order) {
+    document.getElementById('checkout').hidden = true;
+
+    const confirmation = document.getElementById('confirmation');
+    confirmation.hidden = false;
+
+    const linesHTML = order.lines.map(orderLineHTML).join('');
+
+    confirmation.innerHTML = `
+        <h2>${t('checkout.thankYou', { name: escapeHTML(order.customer.name) })}</h2>
+        <p>${t('checkout.orderNumber', { number: order.number })}</p>
+        <p>${t('checkout.status', { status: t(`order.status.${order.status}`) })}</p>
+        <ul>${linesHTML}</ul>
+        ${discountLinesHTML(order.discounts || [])}
+        <p><strong>${t('cart.total', { amount: formatEuro(order.total) })}</strong></p>
+        ${financingHTML(order.financing)}
+        <p>${describeDelivery(order.delivery)}</p>
+        <p>${describePayment(order.payment)}</p>
+        <p>${t('checkout.emailSent', { email: escapeHTML(order.customer.email) })}</p>
+        <a href="arve.html?order=${encodeURIComponent(order.number)}" class="btn">${t('checkout.viewInvoice')}</a>
+        <a href="tellimused.html" class="btn">${t('orders.title')}</a>
+        <a href="esileht.html" class="btn">${t('checkout.backToShop')}</a>
+    `;
+}
+
+// ===== SHOW/HIDE FIELDS THAT DEPEND ON A CHOICE =====
+// e.g. the address fields only appear when "Home delivery" is chosen
+function updateConditionalFields() {
+    const deliveryMethod = readStepForm('delivery').method;
+    document.getElementById('delivery-address-fields').hidden = deliveryMethod !== 'delivery';
+    document.getElementById('delivery-pickup-fields').hidden = deliveryMethod !== 'pickup';
+
+    const paymentMethod = readStepForm('payment').method;
+    document.getElementById('payment-card-fields').hidden = paymentMethod !== 'card';
+    document.getElementById('payment-bank-fields').hidden = paymentMethod !== 'banklink';
+}
+
+// ===== FILL IN CHOICES FROM DATA =====
+// Showrooms, payment methods and banks come from the lists above and payment.js
+// Also runs when the language changes; the customer's current choices are kept
+function renderChoices() {
+    const chosen = readStepForm('delivery').showroom;
+    const payment = readStepForm('payment');
+
+    const showroomSelect = document.getElementById('showroom-select');
+    showroomSelect.innerHTML =
+        `<option value="">${t('checkout.chooseShowroom')}</option>` +
+        showrooms.map(room => `<option value="${room.id}">${room.name}</option>`).join('');
+    showroomSelect.value = chosen || '';
+
+    document.getElementById('payment-methods').innerHTML = mockPaymentProvider.methods.map(method => `
+        <label><input type="radio" name="method" value="${method.id}"${method.id === payment.method ? ' checked' : ''}> ${paymentMethodLabel(method.id)}</label>
+    `).join('');
+
+    const banklink = mockPaymentProvider.methods.find(m => m.id === 'banklink');
+    const bankSelect = document.getElementById('bank-select');
+    bankSelect.innerHTML =
+        `<option value="">${t('checkout.chooseBank')}</option>` +
+        banklink.banks.map(bank => `<option value="${bank}">${bank}</option>`).join('');
+    bankSelect.value = payment.bank || '';
+}
+
+// ===== START CHECKOUT WHEN PAGE LOADS =====
+window.addEventListener('DOMContentLoaded', function() {
+    // Only run on the checkout page
+    if (!document.getElementById('checkout')) {
+        return;
+    }
+
+    // Coming back to a finished order (e.g. after a reload)?
+    const orderNumber = new URLSearchParams(location.search).get('order');
+    if (orderNumber) {
+        const order = findOrder(orderNumber);
+        if (order) {
+            showConfirmation(order);
+            return;
+        }
+    }
+
+    // Nothing to pay for, or cars that can't be ordered any more: back to the cart
+    if (cart.length === 0 || hasStockProblems()) {
+        location.href = 'ostukorv.html';
+        return;
+    }
+
+    renderChoices();
+
+    // Every step form moves on when submitted
+    checkoutSteps.forEach(step => {
+        document.getElementById(`step-${step}`).addEventListener('submit', nextStep);
+    });
+
+    // Radio buttons show/hide the fields that belong to them
+    document.getElementById('step-delivery').addEventListener('change', updateConditionalFields);
+    document.getElementById('step-payment').addEventListener('change', updateConditionalFields);
+    updateConditionalFields();
+
+    showStep(0);
+});
+
+// ===== NEW LANGUAGE =====
+// The static labels are translated by i18n.js; redraw the parts checkout.js builds
+window.addEventListener('languagechange', function() {
+    if (!document.getElementById('checkout')) {
+        return;
+    }
+
+    // The confirmation is showing: draw it again from the saved order
+    const order = findOrder(new URLSearchParams(location.search).get('order'));
+    if (order && !document.getElementById('confirmation').hidden) {
+        showConfirmation(order);
+        return;
+    }
+
+    renderChoices();
+    if (checkoutSteps[currentStep] === 'review') {
+        renderReview();
+    }
+});
@@ -0,0 +1,203 @@
+// ===== MODEL COMPARISON =====
+// This file lets customers put models side by side instead of opening
+// every "Learn more" page separately
+// - each card on esileht.html has a "Compare" checkbox
+// - a bar at the bottom of esileht.html shows how many models are chosen
+// - vordlus.html shows the chosen models in a table, one column per model
+//
+// Key concepts:
+// - selection: the chosen product ids, saved in localStorage under 'compare',
+//   so it is kept while the customer browses (and in other open tabs)
+// - comparison rows: one row per spec; a row whose values are not all the same
+//   is highlighted, and the best value in the row gets a ★
+
+// At most this many models side by side (more columns don't fit on a screen)
+const MAX_COMPARE = 3;
+
+// ===== THE ROWS OF THE COMPARISON TABLE =====
+// text(product): what is shown in the cell (cells with different texts = row differs)
+// score(product): how good the value is, HIGHER = BETTER (cheaper, faster, ...)
+// Rows without a score (engine, drivetrain) have no "best" value, only differences
+const comparisonRows = [
+    {
+        labelKey: 'compare.row.price',
+        text: product => formatMoney(product.price),
+        score: product => -product.price                    // Cheapest is best
+    },
+    {
+        labelKey: 'compare.row.engine',
+        text: product => product.specs.engine
+    },
+    {
+        labelKey: 'compare.row.hp',
+        text: product => t('product.hp', { hp: product.specs.hp }),
+        score: product => product.specs.hp                  // Most power is best
+    },
+    {
+        labelKey: 'compare.row.acceleration',
+        text: product => `${product.specs.acceleration} s`,
+        score: product => -product.specs.acceleration       // Quickest is best
+    },
+    {
+        labelKey: 'compare.row.drivetrain',
+        text: product => product.specs.drivetrain
+    },
+    {
+        labelKey: 'compare.row.availability',
+        text: product => availabilityText(product),
+        // In stock beats a pre-order, a pre-order beats sold out
+        score: product => ['sold-out', 'pre-order', 'in-stock'].indexOf(product.availability.status)
+    }
+];
+
+// ===== THE SAVED SELECTION =====
+// Returns the chosen product ids, e.g. ['m3', 'm5']
+// Broken data or ids that are no longer in the catalog are left out
+function loadComparison() {
+    let ids;
+    try {
+        ids = JSON.parse(localStorage.getItem('compare'));
+    } catch (error) {
+        ids = [];
+    }
+    if (!Array.isArray(ids)) {
+        return [];
+    }
+    return ids.filter(id => getProduct(id)).slice(0, MAX_COMPARE);
+}
+
+function saveComparison(ids) {
+    localStorage.setItem('compare', JSON.stringify(ids));
+}
+
+// ===== ADD OR REMOVE A MODEL =====
+// Runs when a "Compare" checkbox is clicked, or ✕ in the comparison table
+function toggleCompare(productId) {
+    const ids = loadComparison();
+
+    if (ids.includes(productId)) {
+        saveComparison(ids.filter(id => id !== productId));
+    } else if (ids.length >= MAX_COMPARE) {
+        showToast(t('compare.limit', { max: MAX_COMPARE }));
+    } else {
+        ids.push(productId);
+        saveComparison(ids);
+    }
+
+    // Also puts the checkbox back if the model could not be added
+    updateCompareUI();
+}
+
+// Forget the whole selection ("Clear" in the compare bar)
+function clearComparison() {
+    saveComparison([]);
+    updateCompareUI();
+}
+
+// ===== SHOW THE SELECTION ON THE PAGE =====
+// Ticks the right "Compare" checkboxes, updates the bar and redraws the table
+function updateCompareUI() {
+    const ids = loadComparison();
+
+    document.querySelectorAll('input[data-compare]').forEach(checkbox => {
+        checkbox.checked = ids.includes(checkbox.getAttribute('data-compare'));
+    });
+
+    const bar = document.getElementById('compare-bar');
+    if (bar) {
+        // Nothing chosen = no bar
+        bar.hidden = ids.length === 0;
+        document.getElementById('compare-count').textContent = t('compare.selected', { count: ids.length });
+    }
+
+    renderComparison();
+}
+
+// ===== BUILD THE COMPARISON TABLE ON vordlus.html =====
+function renderComparison() {
+    const view = document.getElementById('compare-view');
+    if (!view) {
+        return;
+    }
+
+    const chosen = loadComparison().map(getProduct);
+
+    // A comparison needs at least two models
+    if (chosen.length < 2) {
+        view.innerHTML = `
+            <p class="compare-empty">${t('compare.needTwo')}</p>
+            <a href="esileht.html" class="btn primary">${t('compare.chooseModels')}</a>
+        `;
+        return;
+    }
+
+    // Header row: picture, name and a ✕ to take the model out again
+    const headHTML = chosen.map(product => `
+        <th scope="col">
+            ${productImageHTML(product)}
+            <a href="toode.html?id=${product.id}">${product.name}</a>
+            <button class="btn-remove-compare" onclick="toggleCompare('${product.id}')"
+                    aria-label="${t('compare.remove', { name: product.name })}">✕</button>
+        </th>
+    `).join('');
+
+    const rowsHTML = comparisonRows.map(row => {
+        const texts = chosen.map(row.text);
+        // new Set() keeps each different text once: 1 left = every model is the same
+        const differs = new Set(texts).size > 1;
+
+        // The best score in the row; only worth a ★ when the models differ
+        const scores = row.score ? chosen.map(row.score) : [];
+        const bestScore = Math.max(...scores);
+        const showBest = row.score && new Set(scores).size > 1;
+
+        const cellsHTML = chosen.map((product, i) => {
+            const isBest = showBest && scores[i] === bestScore;
+            return isBest
+                ? `<td class="best"><span class="best-mark" title="${t('compare.best')}">★</span> ${texts[i]}</td>`
+                : `<td>${texts[i]}</td>`;
+        }).join('');
+
+        return `
+            <tr class="${differs ? 'differs' : ''}">
+                <th scope="row">${t(row.labelKey)}</th>
+                ${cellsHTML}
+            </tr>
+        `;
+    }).join('');
+
+    // Last row: buy straight from the comparison (addToCart() is in cart.js)
+    const buyHTML = chosen.map(product => `
+        <td><button class="btn primary" onclick="addToCart('${product.id}')"${maxQuantity(product) === 0 ? ' disabled' : ''}>${buyButtonText(product)}</button></td>
+    `).join('');
+
+    view.innerHTML = `
+        <table class="compare-table">
+            <thead>
+                <tr><td></td>${headHTML}</tr>
+            </thead>
+            <tbody>
+                ${rowsHTML}
+                <tr><td></td>${buyHTML}</tr>
+            </tbody>
+        </table>
+        <p class="compare-legend">${t('compare.legend')}</p>
+    `;
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+// catalog.js (loaded earlier) has already built the cards with their checkboxes
+window.addEventListener('DOMContentLoaded', updateCompareUI);
+
+// The cards are rebuilt in the new language - tick their checkboxes again
+window.addEventListener('languagechange', updateCompareUI);
+
+// Prices in the table follow the chosen display currency
+window.addEventListener('currencychange', renderComparison);
+
+// Choosing models in another tab updates this one too
+window.addEventListener('storage', function(event) {
+    if (event.key === 'compare') {
+        updateCompareUI();
+    }
+});
@@ -0,0 +1,105 @@
+// ===== VEHICLE CONFIGURATOR =====
+// This file builds the configurator on the detail page (toode.html):
+// paint, wheels, transmission, drivetrain and option packages, each with its
+// extra price, and a total that updates as soon as something is chosen
+//
+// Key concepts:
+// - the choices and their prices come from optionGroups in catalog.js
+// - currentConfig: what is chosen right now, e.g. { paint: 'isle-of-man-green', ... }
+// - "Purchase now!" puts the car in the cart WITH its configuration, so two
+//   differently configured M3s stay two separate cart lines
+
+// ===== CONFIGURATOR STATE =====
+// Kept here (not read from the form) so the choices survive a redraw,
+// e.g. when the customer switches the currency or language
+let currentConfig = null;
+
+// ===== READ THE CHOICES FROM THE FORM =====
+// Radio buttons give one value per group, the package checkboxes a list
+function readConfiguration(form) {
+    const data = new FormData(form);
+    const config = {};
+    for (const group in optionGroups) {
+        config[group] = optionGroups[group].multiple ? data.getAll(group) : data.get(group);
+    }
+    return config;
+}
+
+// ===== "+2 400 €" OR "Included" NEXT TO EACH CHOICE =====
+function optionPriceText(product, group, choiceId) {
+    const price = optionPrice(product, group, choiceId);
+    return price > 0 ? `+${formatMoney(price)}` : t('config.included');
+}
+
+// ===== BUILD THE CONFIGURATOR =====
+// catalog.js leaves an empty <div id="configurator" data-product="m3"> on the page
+function renderConfigurator() {
+    const container = document.getElementById('configurator');
+    if (!container) {
+        return;
+    }
+
+    const product = getProduct(container.getAttribute('data-product'));
+    // Start from the standard equipment; normalizing also drops choices another model had
+    currentConfig = normalizeConfiguration(product, currentConfig);
+
+    let html = '';
+    for (const group in optionGroups) {
+        const multiple = optionGroups[group].multiple;
+        const chosen = [].concat(currentConfig[group]);
+
+        html += `<fieldset class="option-group"><legend>${t(`config.group.${group}`)}</legend>`;
+        allowedChoices(product, group).forEach(choice => {
+            html += `
+                <label>
+                    <input type="${multiple ? 'checkbox' : 'radio'}" name="${group}" value="${choice.id}"${chosen.includes(choice.id) ? ' checked' : ''}>
+                    ${t(`option.${group}.${choice.id}`)}
+                    <span class="option-price">${optionPriceText(product, group, choice.id)}</span>
+                </label>
+            `;
+        });
+        html += '</fieldset>';
+    }
+
+    // onchange on the form catches every radio button and checkbox inside it
+    container.innerHTML = `
+        <h2>${t('config.title', { name: product.name })}</h2>
+        <form id="configurator-form" class="configurator" onchange="updateConfiguration()">
+            ${html}
+        </form>
+        <p class="price" id="config-total" aria-live="polite"></p>
+        <button class="btn primary" onclick="addConfiguredToCart()"${maxQuantity(product) === 0 ? ' disabled' : ''}>${buyButtonText(product)}</button>
+    `;
+
+    updateConfigurationTotal();
+}
+
+// ===== A CHOICE WAS CHANGED =====
+function updateConfiguration() {
+    const container = document.getElementById('configurator');
+    const product = getProduct(container.getAttribute('data-product'));
+    currentConfig = normalizeConfiguration(product, readConfiguration(document.getElementById('configurator-form')));
+    updateConfigurationTotal();
+}
+
+// ===== SHOW THE PRICE OF THE CONFIGURED CAR =====
+function updateConfigurationTotal() {
+    const product = getProduct(document.getElementById('configurator').getAttribute('data-product'));
+    document.getElementById('config-total').textContent =
+        t('config.total', { amount: formatMoney(configuredPrice(product, currentConfig)) });
+}
+
+// ===== PUT THE CONFIGURED CAR IN THE CART =====
+function addConfiguredToCart() {
+    const productId = document.getElementById('configurator').getAttribute('data-product');
+    addToCart(productId, currentConfig);
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+// catalog.js (loaded earlier) has already filled in the page and the empty configurator
+window.addEventListener('DOMContentLoaded', renderConfigurator);
+
+// catalog.js redraws the detail page on these events; draw the configurator
+// again with the same choices (prices in the new currency, texts in the new language)
+window.addEventListener('currencychange', renderConfigurator);
+window.addEventListener('languagechange', renderConfigurator);
@@ -0,0 +1,30 @@
+// ===== SAVE TEXT AS A FILE =====
+// This file lets a page hand the customer a file: the cart as JSON or CSV
+// (cart-transfer.js), a test drive as a calendar file (bookings.js) or the
+// analytics log (analytics-dashboard.js)
+//
+// Key concepts:
+// - Blob: a piece of data in memory, here the text of the file
+// - URL.createObjectURL(): a temporary address that points to the Blob
+// - <a download="name">: a link that saves instead of opening - this is how
+//   a web page "saves a file" without a server
+
+// The browser downloads it like any other file
+function downloadFile(fileName, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // The file is downloaded; free the memory the Blob used
+    URL.revokeObjectURL(url);
+}
+
+// ===== ONE CSV FIELD =====
+// A field with a comma, quote or line break is put in quotes ("" inside = one ")
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
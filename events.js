@@ -0,0 +1,60 @@
+// ===== SHOP EVENTS =====
+// This file is the shop's event bus: the other files announce what the customer
+// does ("a car was added", "a search found nothing") without knowing who listens
+// analytics.js listens and keeps a log in this browser; the dashboard
+// (analuutika.html) turns that log into funnels and tables
+//
+// Key concepts:
+// - publishShopEvent('product_added', { id: 'm3' }) sends a 'shopevent' on window,
+//   just like money.js sends 'currencychange' - any file can listen with
+//   window.addEventListener('shopevent', ...)
+// - every event has the same fields: { type, data, time, page, session }
+// - session: one random id per browser tab (sessionStorage forgets it when the tab
+//   closes), so a visit can be followed from the first car seen to the order
+// - only the event types below exist, so a typo can't create a new kind of event
+//
+// This file is loaded in the <head> of every page (theme.js publishes too)
+
+// ===== EVENT TYPES =====
+// type → what its data contains
+const SHOP_EVENT_TYPES = {
+    product_viewed: '{ id, source: "card" (seen on esileht.html) or "page" (toode.html) }',
+    product_added: '{ id, config }',
+    product_removed: '{ id, quantity }',
+    cart_viewed: '{ via: "page" or "drawer", lines }',
+    filter_applied: '{ search, minPrice, maxPrice, facets, sort, shown }',
+    filters_reset: '{}',
+    search_no_results: '{ term }',
+    theme_changed: '{ from, to }',
+    checkout_started: '{ lines, total }',
+    order_placed: '{ number, status, total, ids }'
+};
+
+// ===== WHICH VISIT IS THIS? =====
+// e.g. "s-lx2k9f-8h3d"; the same for every page opened in this tab
+function shopSessionId() {
+    let session = sessionStorage.getItem('shopSession');
+    if (!session) {
+        session = `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        sessionStorage.setItem('shopSession', session);
+    }
+    return session;
+}
+
+// ===== ANNOUNCE AN EVENT =====
+function publishShopEvent(type, data = {}) {
+    if (!SHOP_EVENT_TYPES[type]) {
+        console.warn(`publishShopEvent: unknown event type "${type}"`);
+        return;
+    }
+
+    const event = {
+        type: type,
+        data: data,
+        time: new Date().toISOString(),
+        // "toode.html" - the address without the folders and the ?... part
+        page: location.pathname.split('/').pop() || 'esileht.html',
+        session: shopSessionId()
+    };
+    window.dispatchEvent(new CustomEvent('shopevent', { detail: event }));
+}
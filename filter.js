@@ -1,17 +1,202 @@
 // ===== SEARCH & FILTER SYSTEM =====
 // This file handles searching and filtering BMW products by name and price
 // It lets users find exactly what they're looking for without page reloads
+// Facets (power, drivetrain, availability) narrow the list further, and the
+// sort dropdown reorders the cards
+// The whole filter state is kept in the address bar (?q=m3&max=100000...), so a
+// filtered view can be shared as a link, survives a reload and works with Back/Forward
 
-// ===== INITIALIZE FILTER =====
+// ===== GET PRODUCT CARDS =====
 // Get all product cards from the HTML page
 // querySelectorAll finds all elements with class "card"
 // These are the BMW M3, M4, M5 product containers
-const productCards = document.querySelectorAll('.card');
+// The cards are built by catalog.js when the page loads, so we look them up
+// each time instead of once when this file loads (they don't exist yet then)
+function getProductCards() {
+    return document.querySelectorAll('.card');
+}
+
+// ===== FACETS =====
+// A facet is a group of checkboxes that filters on one spec, e.g. "Drivetrain: RWD / M xDrive"
+// - Ticking several values in the SAME facet means "any of these" (RWD or M xDrive)
+// - Different facets must ALL match (M xDrive AND In stock)
+//
+// valueOf(card) returns which value of the facet a card belongs to
+// values: the checkbox options; facets without a fixed list use the values found on the cards
+// labelKey: message key of the text shown (see i18n.js)
+const facets = {
+    hp: {
+        labelKey: 'facet.hp',
+        // Horsepower is grouped into ranges instead of one checkbox per exact number
+        valueOf: card => {
+            const hp = parseInt(card.getAttribute('data-hp'));
+            if (hp < 500) {
+                return 'under-500';
+            }
+            return hp < 600 ? '500-599' : '600-plus';
+        },
+        values: [
+            { value: 'under-500', labelKey: 'facet.hp.under-500' },
+            { value: '500-599', labelKey: 'facet.hp.500-599' },
+            { value: '600-plus', labelKey: 'facet.hp.600-plus' }
+        ]
+    },
+    drivetrain: {
+        labelKey: 'facet.drivetrain',
+        valueOf: card => card.getAttribute('data-drivetrain')
+    },
+    availability: {
+        labelKey: 'facet.availability',
+        valueOf: card => card.getAttribute('data-availability'),
+        values: [
+            { value: 'in-stock', labelKey: 'facet.availability.in-stock' },
+            { value: 'pre-order', labelKey: 'facet.availability.pre-order' },
+            { value: 'sold-out', labelKey: 'facet.availability.sold-out' }
+        ]
+    }
+};
+
+// ===== SORT OPTIONS =====
+// Each compare function decides which of two cards comes first
+// A negative result puts card a first, a positive result puts card b first
+// The text in the dropdown is the message 'sort.<key>' (see i18n.js)
+const sortOptions = {
+    featured: { compare: (a, b) => numberAttribute(a, 'data-order') - numberAttribute(b, 'data-order') },
+    'price-asc': { compare: (a, b) => numberAttribute(a, 'data-price') - numberAttribute(b, 'data-price') },
+    'price-desc': { compare: (a, b) => numberAttribute(b, 'data-price') - numberAttribute(a, 'data-price') },
+    'hp-desc': { compare: (a, b) => numberAttribute(b, 'data-hp') - numberAttribute(a, 'data-hp') },
+    'acceleration-asc': { compare: (a, b) => numberAttribute(a, 'data-acceleration') - numberAttribute(b, 'data-acceleration') },
+    newest: { compare: (a, b) => numberAttribute(b, 'data-year') - numberAttribute(a, 'data-year') }
+};
+
+// Reads a data-... attribute as a number, e.g. data-hp="480" → 480
+function numberAttribute(card, name) {
+    return parseFloat(card.getAttribute(name));
+}
+
+// ===== WHICH FACET VALUES ARE TICKED? =====
+// Returns e.g. { hp: [], drivetrain: ['M xDrive'], availability: ['in-stock'] }
+function getCheckedFacets() {
+    const checked = {};
+    for (const name in facets) {
+        checked[name] = Array.from(
+            document.querySelectorAll(`#facets input[name="${name}"]:checked`)
+        ).map(input => input.value);
+    }
+    return checked;
+}
+
+// ===== DOES A CARD MATCH THE TICKED FACETS? =====
+// skipFacet: leave one facet out - used to count how many cars each of ITS values would show
+function matchesFacets(card, checked, skipFacet) {
+    for (const name in facets) {
+        if (name === skipFacet || checked[name].length === 0) {
+            continue; // Nothing ticked in this facet = no restriction
+        }
+        if (!checked[name].includes(facets[name].valueOf(card))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// ===== BUILD THE FACET CHECKBOXES =====
+// Runs when the page loads, after catalog.js has built the cards,
+// and again when the language changes
+function renderFacets() {
+    const container = document.getElementById('facets');
+    if (!container) {
+        return;
+    }
+
+    const cards = Array.from(getProductCards());
+    let html = '';
+
+    for (const name in facets) {
+        const facet = facets[name];
+
+        // Facets without a fixed list get one checkbox per different value on the cards
+        // new Set() removes duplicates: ['RWD', 'M xDrive', 'M xDrive'] → RWD, M xDrive
+        // Those values are names like "M xDrive", so they are shown as they are
+        const values = facet.values
+            ? facet.values.map(option => ({ value: option.value, label: t(option.labelKey) }))
+            : Array.from(new Set(cards.map(facet.valueOf))).map(value => ({ value: value, label: value }));
+
+        html += `<fieldset class="facet"><legend>${t(facet.labelKey)}</legend>`;
+        values.forEach(option => {
+            html += `
+                <label>
+                    <input type="checkbox" name="${name}" value="${option.value}">
+                    ${option.label} <span class="facet-count" data-facet="${name}" data-value="${option.value}"></span>
+                </label>
+            `;
+        });
+        html += '</fieldset>';
+    }
+
+    container.innerHTML = html;
+}
+
+// ===== FILL THE SORT DROPDOWN =====
+function renderSortOptions() {
+    const select = document.getElementById('sortSelect');
+    if (!select) {
+        return;
+    }
+    select.innerHTML = Object.keys(sortOptions)
+        .map(key => `<option value="${key}">${t(`sort.${key}`)}</option>`)
+        .join('');
+}
+
+// ===== UPDATE "(2)" COUNTS NEXT TO EACH FACET VALUE =====
+// A value's count = cars that match the search, price and the OTHER facets
+// and have this value - i.e. how many cars you'd see if you ticked it
+function updateFacetCounts(baseMatches, checked) {
+    document.querySelectorAll('.facet-count').forEach(countElement => {
+        const name = countElement.getAttribute('data-facet');
+        const value = countElement.getAttribute('data-value');
+
+        const count = baseMatches.filter(card =>
+            matchesFacets(card, checked, name) && facets[name].valueOf(card) === value
+        ).length;
+
+        countElement.textContent = `(${count})`;
+
+        // A value that would show nothing can't be ticked (unless it already is)
+        const checkbox = countElement.parentElement.querySelector('input');
+        checkbox.disabled = count === 0 && !checkbox.checked;
+    });
+}
+
+// ===== PUT THE CARDS IN THE CHOSEN ORDER =====
+// appendChild() on an element that is already on the page MOVES it to the end,
+// so appending every card in sorted order reorders them
+// searchResults: while searching with the default "Featured" order, the best
+// match goes first (highest score), and ties keep the featured order
+function sortCards(sortKey, searchResults) {
+    const container = document.querySelector('section.cards');
+    const option = sortOptions[sortKey] || sortOptions.featured;
+
+    let compare = option.compare;
+    if (searchResults && option === sortOptions.featured) {
+        const scoreOf = card => {
+            const result = searchResults.get(card.getAttribute('data-id'));
+            return result ? result.score : 0;
+        };
+        compare = (a, b) => (scoreOf(b) - scoreOf(a)) || option.compare(a, b);
+    }
+
+    Array.from(getProductCards())
+        .sort(compare)
+        .forEach(card => container.appendChild(card));
+}
 
 // ===== MAIN FILTER FUNCTION =====
 // This function runs every time the user types in search or changes price
 // It checks each product against the search term and price range
-function filterProducts() {
+// event: the browser event that triggered it (if any) - typing in the search box
+// updates the address without adding a Back-button step for every letter
+function filterProducts(event) {
     // Get what the user typed in the search box
     // toLowerCase() converts it to lowercase so "M3" and "m3" both work
     const searchTerm = document.getElementById('searchInput').value.toLowerCase();
@@ -26,24 +211,38 @@ function filterProducts() {
     // || Infinity means "if nothing, use Infinity instead"
     const maxPrice = parseInt(document.getElementById('maxPrice').value) || Infinity;
     
+    // Which facet checkboxes are ticked, and which sort order is chosen
+    const checkedFacets = getCheckedFacets();
+    const sortSelect = document.getElementById('sortSelect');
+    const sortKey = sortSelect ? sortSelect.value : 'featured';
+    
+    // Search every product once (not once per card); null = nothing typed
+    // Returns a Map: product id → { score, words }
+    const searchResults = searchTerm.trim() ? searchProducts(searchTerm) : null;
+    
+    // Cards that match the search and price (facets not checked yet)
+    // Used below to count how many cars each facet value would show
+    const baseMatches = [];
+    
+    // How many cards end up visible - 0 means we show the "no cars match" message
+    let visibleCount = 0;
+    
     // ===== LOOP THROUGH EACH PRODUCT CARD =====
     // forEach runs the code inside {} for each card
-    productCards.forEach(card => {
-        // Get the product name from the card's data-name attribute
-        // HTML example: <div class="card" data-name="BMW M3" data-price="89900">
-        // getAttribute gets the value of these custom attributes
-        // We stored the name and price here for easy filtering
-        const productName = card.getAttribute('data-name').toLowerCase();
-        
+    getProductCards().forEach(card => {
         // Get the product price from the card's data-price attribute
         // parseInt() converts the text "89900" to the number 89900
         const productPrice = parseInt(card.getAttribute('data-price'));
         
         // ===== CHECK IF PRODUCT MATCHES SEARCH =====
-        // includes() checks if the product name contains the search term
-        // Example: if user types "M3" and productName is "BMW M3", it returns true
-        // || searchTerm === '' means "or if search box is empty (show all)"
-        const matchesSearch = productName.includes(searchTerm) || searchTerm === '';
+        // searchProducts() (search.js) looks at the name, badge, specs and description,
+        // and forgives typos and spacing ("m 3", "twin trubo")
+        // searchResults === null means "search box is empty (show all)"
+        const searchResult = searchResults ? searchResults.get(card.getAttribute('data-id')) : null;
+        const matchesSearch = !searchResults || Boolean(searchResult);
+        
+        // Mark the matched words in the card (or remove old marks when nothing is searched)
+        highlightCard(card, searchResult ? searchResult.words : new Set());
         
         // ===== CHECK IF PRODUCT IS IN PRICE RANGE =====
         // >= means "greater than or equal to"
@@ -51,24 +250,77 @@ function filterProducts() {
         // So this checks: is price 89900 >= minPrice AND <= maxPrice?
         const matchesPrice = productPrice >= minPrice && productPrice <= maxPrice;
         
+        // ===== CHECK IF PRODUCT MATCHES THE TICKED FACETS =====
+        if (matchesSearch && matchesPrice) {
+            baseMatches.push(card);
+        }
+        const matchesFacetFilters = matchesFacets(card, checkedFacets);
+        
         // ===== SHOW OR HIDE CARD =====
         // classList is a way to add/remove CSS classes to elements
         // We use .hidden class (defined in pood.css) to hide cards
-        // If product matches BOTH search AND price, remove the hidden class (show it)
+        // If product matches search, price AND facets, remove the hidden class (show it)
         // Otherwise, add the hidden class (hide it)
-        if (matchesSearch && matchesPrice) {
+        if (matchesSearch && matchesPrice && matchesFacetFilters) {
             card.classList.remove('hidden');  // Make it visible
+            visibleCount++;
         } else {
             card.classList.add('hidden');     // Make it invisible
         }
     });
     
-    // Log to console for debugging - helps see what's happening
-    console.log(`Filter: search="${searchTerm}", price: €${minPrice}-€${maxPrice}`);
+    // Reorder the cards and refresh the "(2)" counts next to each facet value
+    sortCards(sortKey, searchResults);
+    updateFacetCounts(baseMatches, checkedFacets);
+    
+    // ===== EMPTY STATE =====
+    // Instead of a blank grid, tell the user nothing matched
+    const noResults = document.getElementById('no-results');
+    if (noResults) {
+        noResults.hidden = visibleCount > 0;
+    }
+    
+    // Save the filters in the address bar and highlight the matching quick filter
+    const replaceHistory = restoringFilters || (event && event.type === 'input');
+    updateUrlFromFilters(replaceHistory);
+    updateQuickFilterButtons();
+    
+    // Tell analytics (events.js) what the customer filtered by - not when the
+    // filters only came from the address, and not when there are no filters at all
+    if (!restoringFilters && filtersToQueryString()) {
+        const filters = {
+            search: searchTerm.trim(),
+            minPrice: minPrice,
+            maxPrice: maxPrice === Infinity ? null : maxPrice,
+            facets: checkedFacets,
+            sort: sortKey,
+            shown: visibleCount
+        };
+        publishFilterEvents(filters, Boolean(searchResults) && searchResults.size === 0);
+    }
+}
+
+// ===== ANALYTICS EVENTS FOR THE FILTERS =====
+// Waits until nothing changed for a second, so typing "ferrari" logs one search
+// instead of "f", "fe", "fer"...
+// searchFoundNothing: no car matches the search text at all (whatever the other filters)
+const publishFilterEvents = debounce(function(filters, searchFoundNothing) {
+    publishShopEvent('filter_applied', filters);
+    if (searchFoundNothing) {
+        publishShopEvent('search_no_results', { term: filters.search });
+    }
+}, 1000);
+
+// ===== UNTICK ALL FACET CHECKBOXES =====
+function clearFacets() {
+    document.querySelectorAll('#facets input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = false;
+    });
 }
 
 // ===== RESET ALL FILTERS FUNCTION =====
 // When user clicks "Reset Filters" button, this clears everything
+// (filterProducts() then removes the filters from the address bar too)
 function resetFilters() {
     // Clear the search input by setting its value to empty string
     document.getElementById('searchInput').value = '';
@@ -77,13 +329,19 @@ function resetFilters() {
     document.getElementById('minPrice').value = '';
     document.getElementById('maxPrice').value = '';
     
-    // Show all products by removing hidden class from every card
-    productCards.forEach(card => {
-        card.classList.remove('hidden');  // Remove hidden class = make visible
-    });
+    // Untick every facet and go back to the default order
+    clearFacets();
+    const sortSelect = document.getElementById('sortSelect');
+    if (sortSelect) {
+        sortSelect.value = 'featured';
+    }
     
-    // Log
-    console.log('Filters reset - showing all products');
+    // Run the filter with everything cleared: shows all products,
+    // restores the order and updates the facet counts
+    filterProducts();
+    
+    // Tell analytics (events.js)
+    publishShopEvent('filters_reset');
 }
 
 // ===== QUICK FILTER BUTTONS =====
@@ -96,6 +354,7 @@ function quickFilter(type) {
     // First, clear any previous filters so quick filter starts fresh
     document.getElementById('minPrice').value = '';
     document.getElementById('maxPrice').value = '';
+    clearFacets();
     
     // ===== SET FILTERS BASED ON WHICH BUTTON WAS CLICKED =====
     // The type parameter tells us which button was clicked
@@ -123,13 +382,142 @@ function quickFilter(type) {
     filterProducts();
 }
 
+// ===== FILTERS IN THE ADDRESS BAR =====
+// The filter state is written into the query string, e.g.
+//   esileht.html?q=m&max=100000&drivetrain=M+xDrive&sort=hp-desc
+// Empty filters are left out, so with no filters the address is just esileht.html
+//
+// Query string keys:
+// - q: search text, min/max: price range, sort: sort order (left out for "featured")
+// - hp, drivetrain, availability: ticked facet values, separated by commas
+
+// True while we are copying the address INTO the filters (page load, Back/Forward)
+// Then filterProducts() must not add a new history entry
+let restoringFilters = false;
+
+// ===== BUILD THE QUERY STRING FROM THE CURRENT FILTERS =====
+function filtersToQueryString() {
+    const params = new URLSearchParams();
+
+    const search = document.getElementById('searchInput').value.trim();
+    const minPrice = document.getElementById('minPrice').value;
+    const maxPrice = document.getElementById('maxPrice').value;
+    const sortKey = document.getElementById('sortSelect').value;
+
+    if (search) {
+        params.set('q', search);
+    }
+    if (minPrice) {
+        params.set('min', minPrice);
+    }
+    if (maxPrice) {
+        params.set('max', maxPrice);
+    }
+
+    const checked = getCheckedFacets();
+    for (const name in checked) {
+        if (checked[name].length > 0) {
+            params.set(name, checked[name].join(','));
+        }
+    }
+
+    if (sortKey && sortKey !== 'featured') {
+        params.set('sort', sortKey);
+    }
+
+    // toString() gives "q=m3&max=100000"; add the "?" only when there is something
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+// ===== WRITE THE FILTERS INTO THE ADDRESS BAR =====
+// replace = true: change the current history entry (typing, restoring)
+// replace = false: add a new entry, so the Back button returns to the previous filters
+function updateUrlFromFilters(replace) {
+    const query = filtersToQueryString();
+
+    // Nothing changed - don't add a duplicate history entry
+    if (query === location.search) {
+        return;
+    }
+
+    // pathname keeps the page (esileht.html), the query string is swapped
+    const url = location.pathname + query + location.hash;
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+// ===== COPY THE ADDRESS BAR INTO THE FILTER CONTROLS =====
+// Used when the page loads and when the user presses Back/Forward
+function applyFiltersFromUrl() {
+    const params = new URLSearchParams(location.search);
+
+    document.getElementById('searchInput').value = params.get('q') || '';
+    document.getElementById('minPrice').value = params.get('min') || '';
+    document.getElementById('maxPrice').value = params.get('max') || '';
+
+    // Unknown sort keys (e.g. a typo in a shared link) fall back to "featured"
+    const sortKey = params.get('sort');
+    document.getElementById('sortSelect').value = sortOptions[sortKey] ? sortKey : 'featured';
+
+    // Tick exactly the facet values listed in the address
+    for (const name in facets) {
+        const values = (params.get(name) || '').split(',');
+        document.querySelectorAll(`#facets input[name="${name}"]`).forEach(checkbox => {
+            checkbox.checked = values.includes(checkbox.value);
+        });
+    }
+
+    restoringFilters = true;
+    filterProducts();
+    restoringFilters = false;
+}
+
+// ===== WHICH QUICK FILTER DOES THE ADDRESS MATCH? =====
+// A quick filter button is "active" when the address contains exactly the
+// filters that button would set, e.g. Luxury ⇔ min=100000 and nothing else
+function isQuickFilterActive(type, params) {
+    const search = params.get('q') || '';
+    const min = params.get('min') || '';
+    const max = params.get('max') || '';
+    const hasFacets = Object.keys(facets).some(name => params.has(name));
+
+    if (hasFacets) {
+        return false;
+    }
+    if (type === 'affordable') {
+        return !search && !min && max === '100000';
+    }
+    if (type === 'luxury') {
+        return !search && min === '100000' && !max;
+    }
+    // Model buttons (M3, M4, M5) put the model name in the search box
+    return search.toLowerCase() === type.toLowerCase() && !min && !max;
+}
+
+// ===== HIGHLIGHT THE ACTIVE QUICK FILTER BUTTON =====
+// Each button has data-quick="M3" / "affordable" / ... in esileht.html
+// aria-pressed tells screen readers the button is switched on
+function updateQuickFilterButtons() {
+    const params = new URLSearchParams(location.search);
+    document.querySelectorAll('.quick-filters button[data-quick]').forEach(button => {
+        const active = isQuickFilterActive(button.getAttribute('data-quick'), params);
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active);
+    });
+}
+
 // ===== ATTACH EVENT LISTENERS =====
 // Event listeners wait for user actions and run code when they happen
 // This code runs when the page loads (DOMContentLoaded)
 window.addEventListener('DOMContentLoaded', function() {
-    // When user types in search box, run filterProducts immediately
-    // 'input' event fires every time the user types a character
-    document.getElementById('searchInput').addEventListener('input', filterProducts);
+    // When user types in search box, run filterProducts
+    // 'input' event fires every time the user types a character, so debounce()
+    // (search.js) waits until typing pauses for 150 ms before searching
+    document.getElementById('searchInput').addEventListener('input', debounce(filterProducts, 150));
     
     // When user changes minimum price and clicks away, run filterProducts
     // 'change' event fires when user finishes editing the input
@@ -140,5 +528,41 @@ window.addEventListener('DOMContentLoaded', function() {
     
     // Note: We use 'change' for price (fires when user finishes)
     // but 'input' for search (fires as user types in real-time)
+    
+    // Build the facet checkboxes and sort options from the cards catalog.js made
+    renderFacets();
+    renderSortOptions();
+    
+    // Any ticked/unticked checkbox or new sort order re-runs the filter
+    // (one listener on the #facets box catches changes from all checkboxes inside it)
+    document.getElementById('facets').addEventListener('change', filterProducts);
+    document.getElementById('sortSelect').addEventListener('change', filterProducts);
+    
+    // Restore filters from the address (a shared link or a reload)
+    // This also runs the filter once, so the facet counts are filled in from the start
+    applyFiltersFromUrl();
+});
+
+// ===== NEW LANGUAGE =====
+// catalog.js has just rebuilt the cards in the new language (its listener runs
+// first, it is loaded earlier), so rebuild the facets and sort options and
+// filter the new cards again from the address bar
+window.addEventListener('languagechange', function() {
+    if (document.getElementById('searchInput')) {
+        // Save the current filters first, in case the search is still waiting for debounce()
+        updateUrlFromFilters(true);
+        renderFacets();
+        renderSortOptions();
+        applyFiltersFromUrl();
+    }
+});
+
+// ===== BACK / FORWARD BUTTONS =====
+// 'popstate' fires when the user moves through history with Back/Forward
+// The address already shows the old filters - copy them into the controls
+window.addEventListener('popstate', function() {
+    if (document.getElementById('searchInput')) {
+        applyFiltersFromUrl();
+    }
 });
 
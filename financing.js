@@ -0,0 +1,358 @@
+// ===== FINANCING & LEASING CALCULATOR =====
+// Few people pay for a car in one go, so this file works out monthly payments:
+// - "from €X/month" on every product card (esileht.html)
+// - a financing panel under the cart total (ostukorv.html) where the customer
+//   chooses the down payment, term, interest rate and balloon (residual value)
+// - the chosen plan is saved with the order (checkout.js)
+//
+// Key concepts:
+// - down payment: paid now, at checkout; the rest is financed
+// - balloon / residual value: a part of the price that is NOT paid off monthly,
+//   but in one go at the end of the term (leasing usually has one, a loan usually not)
+// - annuity: every monthly payment is the same amount; at first most of it is
+//   interest, towards the end most of it pays off the loan
+// - amortisation schedule: the month-by-month table of interest, repayment and
+//   what is still owed
+// All amounts are in euros: financing is a contract, so it is never converted
+
+// ===== FINANCING TYPES =====
+// Each type fills in a typical interest rate and balloon; the customer can change both
+const financingTypes = {
+    loan: { annualRate: 5.9, balloonPercent: 0 },       // Car loan: paid off completely
+    lease: { annualRate: 4.9, balloonPercent: 30 }      // Leasing: 30% residual value at the end
+};
+
+// ===== LIMITS =====
+const FINANCING_TERMS = [24, 36, 48, 60, 72, 84];     // Term in months
+const MIN_DOWN_PAYMENT_PERCENT = 10;                   // Lenders want at least 10% down
+const MAX_DOWN_PAYMENT_PERCENT = 90;
+const MAX_BALLOON_PERCENT = 50;
+const MAX_ANNUAL_RATE = 30;
+
+// The plan a customer starts with (and the one behind "from €X/month" on the cards)
+const defaultFinancingPlan = {
+    enabled: false,              // false = pay the whole price at checkout
+    type: 'lease',
+    downPaymentPercent: 20,
+    termMonths: 60,
+    annualRate: financingTypes.lease.annualRate,
+    balloonPercent: financingTypes.lease.balloonPercent
+};
+
+// Round to whole cents
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Keeps a number between min and max; anything that isn't a number becomes fallback
+function clampNumber(value, min, max, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        return fallback;
+    }
+    return Math.min(max, Math.max(min, number));
+}
+
+// ===== THE SAVED PLAN =====
+// Saved in localStorage under 'financing', so it is remembered between pages and visits
+// Broken or tampered values are put back inside the limits above
+function loadFinancingPlan() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem('financing'));
+    } catch (error) {
+        saved = null;
+    }
+    return normalizeFinancingPlan(saved);
+}
+
+function saveFinancingPlan(plan) {
+    localStorage.setItem('financing', JSON.stringify(normalizeFinancingPlan(plan)));
+}
+
+function normalizeFinancingPlan(plan) {
+    const source = plan && typeof plan === 'object' ? plan : {};
+    const type = financingTypes[source.type] ? source.type : defaultFinancingPlan.type;
+    const termMonths = Number(source.termMonths);
+
+    return {
+        enabled: source.enabled === true,
+        type: type,
+        downPaymentPercent: clampNumber(source.downPaymentPercent, MIN_DOWN_PAYMENT_PERCENT,
+            MAX_DOWN_PAYMENT_PERCENT, defaultFinancingPlan.downPaymentPercent),
+        termMonths: FINANCING_TERMS.includes(termMonths) ? termMonths : defaultFinancingPlan.termMonths,
+        annualRate: clampNumber(source.annualRate, 0, MAX_ANNUAL_RATE, financingTypes[type].annualRate),
+        balloonPercent: clampNumber(source.balloonPercent, 0, MAX_BALLOON_PERCENT, financingTypes[type].balloonPercent)
+    };
+}
+
+// ===== MONTHLY PAYMENT =====
+// The standard annuity formula, with a balloon left over at the end:
+//
+//   payment = (financed − balloon / (1 + r)^n) × r / (1 − (1 + r)^−n)
+//
+// r = monthly interest rate (5.9% a year → 0.059 / 12), n = number of months
+// Example: 100 000 € financed, 60 months, 4.9%, no balloon → 1882.55 € a month
+function monthlyPayment(financed, balloon, annualRate, termMonths) {
+    const r = annualRate / 100 / 12;
+    if (r === 0) {
+        // No interest: just split what has to be paid off over the months
+        return (financed - balloon) / termMonths;
+    }
+    const growth = Math.pow(1 + r, termMonths);
+    return (financed - balloon / growth) * r / (1 - 1 / growth);
+}
+
+// ===== WORK OUT A PLAN FOR A PRICE =====
+// price: car price in euros (or the cart total), plan: from loadFinancingPlan()
+// Returns every amount the panel and the order need
+function calculateFinancing(price, plan) {
+    const downPayment = roundCents(price * plan.downPaymentPercent / 100);
+    const financed = roundCents(price - downPayment);
+    // The balloon can't be more than what is financed (e.g. 90% down, 50% balloon)
+    const balloon = Math.min(roundCents(price * plan.balloonPercent / 100), financed);
+    const monthly = roundCents(monthlyPayment(financed, balloon, plan.annualRate, plan.termMonths));
+
+    // Add up the schedule, so the rounded last payment is counted exactly
+    const payments = amortizationSchedule({ financed: financed, balloon: balloon, monthly: monthly }, plan)
+        .reduce((sum, row) => sum + row.payment, 0);
+    const totalPaid = roundCents(downPayment + payments + balloon);
+
+    return {
+        price: price,
+        downPayment: downPayment,
+        financed: financed,
+        balloon: balloon,
+        monthly: monthly,
+        totalInterest: roundCents(totalPaid - price),
+        totalPaid: totalPaid
+    };
+}
+
+// ===== AMORTISATION SCHEDULE =====
+// financing: from calculateFinancing() (only financed, balloon and monthly are used)
+// One row per month: { month, payment, interest, principal, balance }
+// - interest: this month's interest on what is still owed
+// - principal: the part of the payment that pays the loan off
+// - balance: still owed after this payment (the balloon, after the last one)
+function amortizationSchedule(financing, plan) {
+    const r = plan.annualRate / 100 / 12;
+    const rows = [];
+    let balance = financing.financed;
+
+    for (let month = 1; month <= plan.termMonths; month++) {
+        const interest = roundCents(balance * r);
+        let principal = roundCents(financing.monthly - interest);
+        // The last payment absorbs the rounding, so exactly the balloon is left
+        if (month === plan.termMonths) {
+            principal = roundCents(balance - financing.balloon);
+        }
+        balance = roundCents(balance - principal);
+        rows.push({ month: month, payment: roundCents(interest + principal), interest: interest, principal: principal, balance: balance });
+    }
+    return rows;
+}
+
+// ===== "FROM €X/MONTH" =====
+// The lowest monthly payment of the financing types with the standard settings
+function lowestMonthlyPayment(price) {
+    return Math.min(...Object.keys(financingTypes).map(type => {
+        const plan = normalizeFinancingPlan(Object.assign({}, defaultFinancingPlan, { type: type }, financingTypes[type]));
+        return calculateFinancing(price, plan).monthly;
+    }));
+}
+
+// Fills in the empty <p class="monthly-price"> on every product card
+// Uses the card's data-price, like updateCardPrices() in catalog.js
+function updateCardFinancing() {
+    document.querySelectorAll('.card').forEach(card => {
+        const line = card.querySelector('.monthly-price');
+        if (line) {
+            const monthly = lowestMonthlyPayment(parseInt(card.getAttribute('data-price')));
+            line.textContent = t('finance.fromMonthly', { amount: formatMoney(Math.round(monthly)) });
+        }
+    });
+}
+
+// ===== THE PLAN AS IT IS SAVED IN AN ORDER =====
+// null when the customer pays the whole price at checkout
+function financingForOrder(total) {
+    const plan = loadFinancingPlan();
+    if (!plan.enabled) {
+        return null;
+    }
+    return Object.assign({
+        type: plan.type,
+        termMonths: plan.termMonths,
+        annualRate: plan.annualRate
+    }, calculateFinancing(total, plan));
+}
+
+// One line describing a plan, e.g. "Leasing: 60 × 1 234,56 €, down payment 18 000 €"
+function describeFinancing(financing) {
+    return t('finance.summary', {
+        type: t(`finance.type.${financing.type}`),
+        months: financing.termMonths,
+        monthly: formatEuro(financing.monthly),
+        down: formatEuro(financing.downPayment),
+        balloon: formatEuro(financing.balloon)
+    });
+}
+
+// ===== FINANCING PANEL ON ostukorv.html =====
+// Built from the saved plan; every change is saved and only the results are redrawn
+function renderFinancingPanel() {
+    const panel = document.getElementById('financing-panel');
+    if (!panel) {
+        return;
+    }
+
+    // Nothing to finance
+    if (cart.length === 0) {
+        panel.hidden = true;
+        panel.innerHTML = '';
+        return;
+    }
+
+    const plan = loadFinancingPlan();
+    panel.hidden = false;
+
+    const typeOptions = Object.keys(financingTypes)
+        .map(type => `<option value="${type}"${type === plan.type ? ' selected' : ''}>${t(`finance.type.${type}`)}</option>`)
+        .join('');
+    const termOptions = FINANCING_TERMS
+        .map(months => `<option value="${months}"${months === plan.termMonths ? ' selected' : ''}>${t('finance.months', { count: months })}</option>`)
+        .join('');
+
+    // onchange on the form catches every field inside it
+    panel.innerHTML = `
+        <h2>${t('finance.title')}</h2>
+        <form id="financing-form" class="financing-form" onchange="updateFinancingPlan(event)" onsubmit="event.preventDefault()">
+            <label class="financing-toggle">
+                <input type="checkbox" name="enabled"${plan.enabled ? ' checked' : ''}>
+                ${t('finance.useFinancing')}
+            </label>
+            <div class="financing-fields">
+                <label>${t('finance.typeLabel')}
+                    <select name="type">${typeOptions}</select>
+                </label>
+                <label>${t('finance.downPayment')}
+                    <input type="number" name="downPaymentPercent" min="${MIN_DOWN_PAYMENT_PERCENT}" max="${MAX_DOWN_PAYMENT_PERCENT}" step="1" value="${plan.downPaymentPercent}">
+                </label>
+                <label>${t('finance.term')}
+                    <select name="termMonths">${termOptions}</select>
+                </label>
+                <label>${t('finance.rate')}
+                    <input type="number" name="annualRate" min="0" max="${MAX_ANNUAL_RATE}" step="0.1" value="${plan.annualRate}">
+                </label>
+                <label>${t('finance.balloon')}
+                    <input type="number" name="balloonPercent" min="0" max="${MAX_BALLOON_PERCENT}" step="1" value="${plan.balloonPercent}">
+                </label>
+            </div>
+        </form>
+        <div id="financing-result" aria-live="polite"></div>
+    `;
+
+    renderFinancingResult();
+}
+
+// ===== A FIELD IN THE PANEL WAS CHANGED =====
+// The form fields that hold a value of the plan (the checkbox is read separately)
+const FINANCING_FORM_FIELDS = ['type', 'downPaymentPercent', 'termMonths', 'annualRate', 'balloonPercent'];
+
+function updateFinancingPlan(event) {
+    const form = document.getElementById('financing-form');
+    const values = {
+        enabled: form.elements.enabled.checked,
+        type: form.elements.type.value,
+        downPaymentPercent: form.elements.downPaymentPercent.value,
+        termMonths: form.elements.termMonths.value,
+        annualRate: form.elements.annualRate.value,
+        balloonPercent: form.elements.balloonPercent.value
+    };
+
+    // A new type brings its own typical rate and balloon
+    if (event && event.target.name === 'type') {
+        Object.assign(values, financingTypes[values.type]);
+    }
+
+    saveFinancingPlan(values);
+
+    // Only a field whose value had to be corrected (e.g. a down payment under 10%,
+    // or the rate of a newly chosen type) is written back; the form itself is not
+    // rebuilt, so the field being edited keeps its focus
+    const plan = loadFinancingPlan();
+    FINANCING_FORM_FIELDS.forEach(name => {
+        const field = form.elements[name];
+        if (field.value !== String(plan[name])) {
+            field.value = plan[name];
+        }
+    });
+
+    renderFinancingResult();
+}
+
+// ===== MONTHLY PAYMENT, TOTALS AND SCHEDULE =====
+function renderFinancingResult() {
+    const result = document.getElementById('financing-result');
+    const plan = loadFinancingPlan();
+    const financing = calculateFinancing(calculateTotal(), plan);
+
+    // A schedule the customer has opened stays open when the numbers change
+    const schedule = result.querySelector('.financing-schedule');
+    const scheduleOpen = schedule !== null && schedule.open;
+
+    const rowsHTML = amortizationSchedule(financing, plan).map(row => `
+        <tr>
+            <td>${row.month}</td>
+            <td>${formatEuro(row.payment)}</td>
+            <td>${formatEuro(row.interest)}</td>
+            <td>${formatEuro(row.principal)}</td>
+            <td>${formatEuro(row.balance)}</td>
+        </tr>
+    `).join('');
+
+    result.innerHTML = `
+        <p class="financing-monthly">${t('finance.perMonth', { amount: formatEuro(financing.monthly), count: plan.termMonths })}</p>
+        <dl class="financing-totals">
+            <dt>${t('finance.downPaymentNow')}</dt><dd>${formatEuro(financing.downPayment)}</dd>
+            <dt>${t('finance.financed')}</dt><dd>${formatEuro(financing.financed)}</dd>
+            <dt>${t('finance.balloonAtEnd')}</dt><dd>${formatEuro(financing.balloon)}</dd>
+            <dt>${t('finance.totalInterest')}</dt><dd>${formatEuro(financing.totalInterest)}</dd>
+            <dt>${t('finance.totalPaid')}</dt><dd>${formatEuro(financing.totalPaid)}</dd>
+        </dl>
+        <details class="financing-schedule"${scheduleOpen ? ' open' : ''}>
+            <summary>${t('finance.schedule')}</summary>
+            <table>
+                <thead>
+                    <tr>
+                        <th>${t('finance.col.month')}</th>
+                        <th>${t('finance.col.payment')}</th>
+                        <th>${t('finance.col.interest')}</th>
+                        <th>${t('finance.col.principal')}</th>
+                        <th>${t('finance.col.balance')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHTML}</tbody>
+            </table>
+        </details>
+    `;
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+// catalog.js (loaded earlier) has already built the cards
+// The panel is drawn by displayCart() in cart.js, every time the total changes
+window.addEventListener('DOMContentLoaded', updateCardFinancing);
+
+// Card prices follow the display currency; the panel is always in euros
+window.addEventListener('currencychange', updateCardFinancing);
+
+// The cards are rebuilt in the new language by catalog.js - fill in their lines again
+window.addEventListener('languagechange', updateCardFinancing);
+
+// A plan changed in another tab updates the panel here too
+window.addEventListener('storage', function(event) {
+    if (event.key === 'financing') {
+        renderFinancingPanel();
+    }
+});
@@ -0,0 +1,975 @@
+// ===== TRANSLATIONS (i18n) =====
+// This file holds every text of the shop in Estonian and English
+// and picks the right one for the language the customer chose
+// ("i18n" is short for "internationalisation": i + 18 letters + n)
+//
+// Key concepts:
+// - message key: a short name for one text, e.g. 'cart.empty'
+// - t('cart.empty') returns the text in the current language
+// - placeholders: t('cart.total', { amount: '89 900 €' }) fills in {amount}
+// - plurals: a text can have one form per plural category, and the count decides
+//   which one is used ("1 car" / "3 cars", "1 auto" / "3 autot")
+//   Intl.PluralRules knows the categories of each language (Russian would need
+//   'one', 'few' and 'many' - adding a language is adding one catalog below)
+// - HTML pages mark their texts with data-i18n="key" (and data-i18n-placeholder,
+//   data-i18n-aria-label for attributes), translatePage() fills them in
+//
+// This file is loaded in the <head> of every page, so the <html lang="..."> is
+// right from the start. Other files redraw their texts on the 'languagechange' event.
+//
+// Not translated: the model descriptions in catalog.js, campaign names in promo.js
+// and the payment provider's own messages - those come from their data as written
+
+// ===== SETTINGS =====
+const DEFAULT_LANGUAGE = 'et';
+// Used when a text is missing from the chosen language
+const FALLBACK_LANGUAGE = 'en';
+
+// Names shown in the language picker, each in its own language
+const languageNames = {
+    et: 'Eesti',
+    en: 'English'
+};
+
+// ===== MESSAGE CATALOGS =====
+const translations = {
+    et: {
+        // Header
+        'header.currency': 'Kuvatav valuuta',
+        'header.theme': 'Värviteema',
+        'header.language': 'Keel',
+        'header.cart': '🛒 Ostukorv',
+        'shop.slogan': 'Jõud. Täpsus. Emotsioon.',
+        'shop.footer': '© 2026 BMW M Shop • Õppeprojekt',
+
+        // Themes (theme.js)
+        'theme.auto': '🌓 Automaatne',
+        'theme.dark': '🌙 Tume',
+        'theme.light': '☀️ Hele',
+        'theme.high-contrast': '◐ Kõrge kontrast',
+
+        // Search and filters (esileht.html, filter.js)
+        'filter.title': 'Otsing',
+        'filter.searchPlaceholder': 'Otsi (nt M3, V8, twin turbo)',
+        'filter.minPrice': 'Min hind (€)',
+        'filter.maxPrice': 'Max hind (€)',
+        'filter.reset': 'Lähtesta filtrid',
+        'filter.quick.affordable': 'Soodsad (< 100k €)',
+        'filter.quick.luxury': 'Luksus (> 100k €)',
+        'filter.sortBy': 'Järjesta',
+        'filter.noResults.title': 'Ükski auto ei vasta filtritele',
+        'filter.noResults.hint': 'Proovi teist otsingut või vähem filtreid.',
+        'facet.hp': 'Võimsus',
+        'facet.hp.under-500': 'Alla 500 hj',
+        'facet.hp.500-599': '500–599 hj',
+        'facet.hp.600-plus': '600+ hj',
+        'facet.drivetrain': 'Vedu',
+        'facet.availability': 'Saadavus',
+        'facet.availability.in-stock': 'Laos',
+        'facet.availability.pre-order': 'Ettetellimisega',
+        'facet.availability.sold-out': 'Välja müüdud',
+        'sort.featured': 'Esiletõstetud',
+        'sort.price-asc': 'Hind: odavamad enne',
+        'sort.price-desc': 'Hind: kallimad enne',
+        'sort.hp-desc': 'Võimsaimad',
+        'sort.acceleration-asc': 'Kiireim 0–100 km/h',
+        'sort.newest': 'Uusimad',
+
+        // Timeline (esileht.html)
+        'timeline.title': 'BMW M mudelid läbi aastate:',
+        'timeline.2018': 'M3 F80 – tagavedu, puhas sportlikkus.',
+        'timeline.2021': 'M4 G82 – agressiivne uustulnuk, M xDrive.',
+        'timeline.2023': 'M5 Competition – luksus ja superauto jõud.',
+
+        // Product cards and detail page (catalog.js, toode.html)
+        'product.learnMore': 'Loe lähemalt',
+        'product.buy': 'Osta kohe!',
+        'product.hp': '{hp} hj',
+        'product.acceleration': '0–100 km/h {seconds} s',
+        'product.inStock': {
+            one: 'Laos {count} auto',
+            other: 'Laos {count} autot'
+        },
+        'product.preOrder': 'Ettetellimine – saabub {date}',
+        'product.soldOut': 'Välja müüdud',
+        'product.preOrderButton': 'Telli ette!',
+        'product.notFound': 'Mudelit ei leitud',
+        'product.notFoundText': 'Seda mudelit meie poes ei ole.',
+        'product.back': '← Tagasi poodi.',
+
+        // Configurator (catalog.js, configurator.js)
+        'config.title': 'Seadista oma {name}',
+        'config.included': 'Hinna sees',
+        'config.total': 'Sinu auto: {amount}',
+        'config.group.paint': 'Värv',
+        'config.group.wheels': 'Veljed',
+        'config.group.transmission': 'Käigukast',
+        'config.group.drivetrain': 'Vedu',
+        'config.group.packages': 'Lisapaketid',
+        'option.paint.alpine-white': 'Alpine White',
+        'option.paint.black-sapphire': 'Black Sapphire metallik',
+        'option.paint.isle-of-man-green': 'Isle of Man Green metallik',
+        'option.paint.frozen-portimao-blue': 'Frozen Portimao Blue matt',
+        'option.wheels.standard': '19"/20" M valuveljed',
+        'option.wheels.forged': '20"/21" M sepisveljed',
+        'option.transmission.automatic': '8-käiguline M Steptronic automaat',
+        'option.transmission.manual': '6-käiguline manuaal',
+        'option.drivetrain.rwd': 'Tagavedu (RWD)',
+        'option.drivetrain.xdrive': 'M xDrive nelikvedu',
+        'option.packages.comfort': 'Mugavuspakett',
+        'option.packages.drivers': 'M Driver\'s Package (tippkiirus 290 km/h)',
+        'option.packages.carbon': 'M Carbon välispakett',
+        'option.packages.ceramic-brakes': 'M süsinikkeraamilised pidurid',
+
+        // Cart (cart.js, ostukorv.html)
+        'cart.pageTitle': 'Ostukorv - BMW M Shop',
+        'cart.title': 'Ostukorv',
+        'cart.intro': 'Sinu valitud BMW M autod:',
+        'cart.added': {
+            one: '✓ {name} lisatud! (ostukorvis {count} auto)',
+            other: '✓ {name} lisatud! (ostukorvis {count} autot)'
+        },
+        'cart.empty': 'Ostukorv on tühi.',
+        'cart.emptyToast': 'Sinu ostukorv on tühi.',
+        'cart.price': 'Hind: {amount}',
+        'cart.total': 'Kokku: {amount}',
+        'cart.subtotal': 'Vahesumma: {amount}',
+        'cart.net': 'Käibemaksuta: {amount}',
+        'cart.vat': 'Käibemaks {rate}%: {amount}',
+        'cart.chargedInEuros': 'Makstakse eurodes: {amount}',
+        'cart.remove': 'Eemalda',
+        'cart.removePromo': 'Eemalda {code}',
+        'cart.pay': 'Maksa',
+        'cart.continue': 'Jätka ostlemist',
+        'cart.clear': 'Tühjenda ostukorv',
+        'cart.decrease': 'Vähenda: {name}',
+        'cart.increase': 'Suurenda: {name}',
+        'cart.quantity': 'Kogus: {name}',
+        'drawer.title': 'Sinu ostukorv',
+        'drawer.close': 'Sulge ostukorv',
+        'drawer.count': {
+            one: '{count} auto',
+            other: '{count} autot'
+        },
+        'drawer.checkout': 'Vormista tellimus',
+        'drawer.viewCart': 'Ava ostukorv',
+        'cart.preOrdered': {
+            one: '✓ {name} ette tellitud! (ostukorvis {count} auto)',
+            other: '✓ {name} ette tellitud! (ostukorvis {count} autot)'
+        },
+
+        // Cart export and import (cart-transfer.js)
+        'transfer.exportJson': 'Ekspordi JSON',
+        'transfer.exportCsv': 'Ekspordi CSV',
+        'transfer.import': 'Impordi fail',
+        'transfer.imported': {
+            one: 'Failist imporditi {count} auto',
+            other: 'Failist imporditi {count} autot'
+        },
+        'transfer.importEmpty': 'Failis ei olnud ühtegi tellitavat autot.',
+        'transfer.importFailed': 'Faili ei õnnestunud lugeda. Kasuta siit poest eksporditud JSON- või CSV-faili.',
+
+        // Undo / redo of cart changes (cart-history.js) and notifications (toast.js)
+        'history.undo': 'Võta tagasi',
+        'history.redo': 'Tee uuesti',
+        'history.undone': 'Tagasi võetud: {action}',
+        'history.redone': 'Uuesti tehtud: {action}',
+        'history.add': '{name} lisati ostukorvi',
+        'history.remove': '{name} eemaldati ostukorvist',
+        'history.quantity': '{name} kogus muudeti: {count}',
+        'history.clear': 'Ostukorv tühjendati',
+        'toast.close': 'Sulge teade',
+        'testDrive.title': 'Broneeri proovisõit',
+        'testDrive.intro': 'Proovi {name} enne ostmist järele: vali esindus, päev ja kellaaeg. Proovisõit kestab {minutes} minutit.',
+        'testDrive.notAvailable': '{name} proovisõitu praegu broneerida ei saa.',
+        'testDrive.showroom': 'Esindus',
+        'testDrive.chooseDay': 'Vali päev',
+        'testDrive.chooseTime': 'Vali kellaaeg',
+        'testDrive.dayFree': {
+            one: '{day}, {count} vaba aeg',
+            other: '{day}, {count} vaba aega'
+        },
+        'testDrive.dayFull': '{day}, vabu aegu ei ole',
+        'testDrive.pickDayFirst': 'Vali kalendrist päev, et näha vabu aegu.',
+        'testDrive.booked': 'broneeritud',
+        'testDrive.book': 'Broneeri proovisõit',
+        'testDrive.bookAt': 'Broneeri: {when}',
+        'testDrive.error.slot': 'Vali proovisõidu päev ja kellaaeg.',
+        'testDrive.slotTaken': 'See aeg on vahepeal juba broneeritud. Palun vali teine aeg.',
+        'testDrive.bookedToast': '✓ {name} proovisõit broneeritud!',
+        'testDrive.confirmed': 'Proovisõit on broneeritud: {when}, {showroom}.',
+        'testDrive.addToCalendar': 'Lisa kalendrisse (.ics)',
+        'testDrive.calendarTitle': 'Proovisõit: {name}',
+        'testDrive.calendarText': 'BMW M Shopi proovisõit, broneeringu number {id}. Võta kaasa juhiluba.',
+        'bookings.pageTitle': 'Minu broneeringud - BMW M Shop',
+        'bookings.title': 'Minu broneeringud',
+        'bookings.intro': 'Selles brauseris broneeritud proovisõidud.',
+        'bookings.upcoming': 'Tulevased proovisõidud',
+        'bookings.past': 'Möödunud proovisõidud',
+        'bookings.empty': 'Sul ei ole veel ühtegi proovisõitu broneeritud.',
+        'bookings.noneUpcoming': 'Tulevasi proovisõite ei ole.',
+        'bookings.cancel': 'Tühista',
+        'bookings.cancelled': 'Proovisõit tühistatud: {when}',
+        'pwa.updateReady': 'Poe uus versioon on valmis.',
+        'pwa.reload': 'Laadi uuesti',
+        'pwa.offline': 'Internetiühendus katkes. Pood ja ostukorv töötavad edasi.',
+        'pwa.online': 'Internetiühendus on taas olemas.',
+        'sync.shareTitle': 'Jätka teises seadmes',
+        'sync.shareText': 'Ava see link telefonis või esinduse arvutis - ostukorv on seal sama.',
+        'sync.copy': 'Kopeeri link',
+        'sync.copied': 'Link kopeeritud.',
+        'sync.saved': '✓ Ostukorv on serveris salvestatud.',
+        'sync.waiting': {
+            one: '{count} muudatus ootab ühendust serveriga.',
+            other: '{count} muudatust ootab ühendust serveriga.'
+        },
+        'sync.updated': 'Ostukorvi muudeti teises seadmes.',
+        'sync.conflict': 'Ostukorvi muudeti vahepeal teises seadmes; näitame seda ostukorvi.',
+        'sync.keepMine': 'Jäta minu ostukorv',
+
+        // Analytics dashboard (analuutika.html)
+        'analytics.pageTitle': 'Analüütika - BMW M Shop',
+        'analytics.title': 'Analüütika',
+        'analytics.intro': 'Mida kliendid selles brauseris poes tegid. Midagi ei saadeta kuhugi.',
+        'analytics.optOut': 'Ära kogu selles brauseris statistikat (kustutab ka logi)',
+        'analytics.exportJSON': 'Laadi alla JSON',
+        'analytics.exportCSV': 'Laadi alla CSV',
+        'analytics.clear': 'Tühjenda logi',
+        'analytics.cleared': 'Analüütika logi tühjendatud.',
+        'analytics.empty': 'Logis ei ole veel ühtegi sündmust.',
+        'analytics.optedOut': 'Statistika kogumine on selles brauseris välja lülitatud.',
+        'analytics.summary': {
+            one: '{count} sündmus alates {since} · külastusi: {visits}',
+            other: '{count} sündmust alates {since} · külastusi: {visits}'
+        },
+        'analytics.funnel': 'Lehtri sammud (külastused)',
+        'analytics.stepViewed': 'Vaatas autot',
+        'analytics.stepAdded': 'Lisas ostukorvi',
+        'analytics.stepCart': 'Avas ostukorvi',
+        'analytics.stepCheckout': 'Alustas vormistamist',
+        'analytics.stepOrdered': 'Tellis',
+        'analytics.zeroResults': 'Otsingud, mis ei leidnud midagi',
+        'analytics.noZeroResults': 'Kõik otsingud leidsid vähemalt ühe auto.',
+        'analytics.term': 'Otsing',
+        'analytics.searches': 'Kordi',
+        'analytics.byModel': 'Konversioon mudeli järgi (külastused)',
+        'analytics.model': 'Mudel',
+        'analytics.conversion': 'Vaatamisest tellimuseni',
+
+        // Stock checks (cart.js)
+        'stock.soldOut': '{name} on välja müüdud.',
+        'stock.limit': 'Mudelit {name} saab tellida kuni {count}.',
+        'stock.lineSoldOut': 'Välja müüdud – eemalda see auto ostukorvist.',
+        'stock.lineTooMany': 'Saadaval ainult {count} – vähenda kogust.',
+        'stock.fixCart': 'Mõni auto pole enam saadaval. Paranda ostukorv enne maksmist.',
+
+        // Financing and leasing (financing.js)
+        'finance.fromMonthly': 'alates {amount}/kuus',
+        'finance.title': 'Järelmaks ja liising',
+        'finance.useFinancing': 'Tasun igakuiste maksetena',
+        'finance.typeLabel': 'Tüüp',
+        'finance.type.loan': 'Autolaen',
+        'finance.type.lease': 'Liising',
+        'finance.downPayment': 'Sissemakse (%)',
+        'finance.term': 'Periood',
+        'finance.months': {
+            one: '{count} kuu',
+            other: '{count} kuud'
+        },
+        'finance.rate': 'Intress (% aastas)',
+        'finance.balloon': 'Jääkväärtus (%)',
+        'finance.perMonth': '{amount} kuus, {count} kuu jooksul',
+        'finance.downPaymentNow': 'Sissemakse kohe',
+        'finance.financed': 'Finantseeritav summa',
+        'finance.balloonAtEnd': 'Jääkväärtus perioodi lõpus',
+        'finance.totalInterest': 'Intressid kokku',
+        'finance.totalPaid': 'Kokku makstakse',
+        'finance.schedule': 'Näita maksegraafikut',
+        'finance.col.month': 'Kuu',
+        'finance.col.payment': 'Makse',
+        'finance.col.interest': 'Intress',
+        'finance.col.principal': 'Põhiosa',
+        'finance.col.balance': 'Jääk',
+        'finance.summary': '{type}: {months} × {monthly}, sissemakse {down}, jääkväärtus {balloon}',
+        'finance.dueNow': 'Täna tasumisele: {amount}',
+
+        // Model comparison (compare.js, vordlus.html)
+        'compare.toggle': 'Võrdle',
+        'compare.selected': {
+            one: 'Võrdlemiseks valitud {count} mudel',
+            other: 'Võrdlemiseks valitud {count} mudelit'
+        },
+        'compare.open': 'Võrdle →',
+        'compare.clear': 'Tühjenda',
+        'compare.limit': 'Korraga saab võrrelda kuni {max} mudelit.',
+        'compare.pageTitle': 'Mudelite võrdlus - BMW M Shop',
+        'compare.title': 'Mudelite võrdlus',
+        'compare.intro': 'Valitud mudelid kõrvuti.',
+        'compare.needTwo': 'Vali poe lehel „Võrdle“ abil vähemalt kaks mudelit.',
+        'compare.chooseModels': 'Vali mudelid',
+        'compare.remove': 'Eemalda {name} võrdlusest',
+        'compare.best': 'Parim',
+        'compare.legend': 'Esile tõstetud ridades mudelid erinevad, ★ tähistab parimat väärtust.',
+        'compare.row.price': 'Hind',
+        'compare.row.engine': 'Mootor',
+        'compare.row.hp': 'Võimsus',
+        'compare.row.acceleration': '0–100 km/h',
+        'compare.row.drivetrain': 'Vedu',
+        'compare.row.availability': 'Saadavus',
+
+        // Promo codes (promo.js)
+        'promo.label': 'Sooduskood',
+        'promo.placeholder': 'nt AUTUMN26',
+        'promo.apply': 'Rakenda',
+        'promo.enterCode': 'Palun sisesta sooduskood.',
+        'promo.invalid': '"{code}" ei ole kehtiv sooduskood.',
+        'promo.expired': '{code} aegus {date}.',
+        'promo.alreadyApplied': '{code} on juba kasutusel.',
+        'promo.notCombinable': '{code} ei saa teiste koodidega koos kasutada.',
+        'promo.productOnly': '{code} kehtib ainult mudelile {product}.',
+        'promo.minSpend': '{code} kehtib alates {amount} ostust.',
+        'promo.applied': '✓ {code} rakendatud: {label}',
+        'promo.removed': '{code} eemaldatud.',
+        'promo.note.expired': 'aegunud',
+        'promo.note.minSpend': 'vajab vähemalt {amount}',
+        'promo.note.modelMissing': 'mudelit pole ostukorvis',
+
+        // Checkout (checkout.js, kassa.html)
+        'checkout.pageTitle': 'Kassa - BMW M Shop',
+        'checkout.title': 'Kassa',
+        'checkout.intro': 'Veel mõni samm sinu uue BMW M-ini.',
+        'checkout.step.details': '1. Andmed',
+        'checkout.step.delivery': '2. Tarne',
+        'checkout.step.payment': '3. Makse',
+        'checkout.step.review': '4. Ülevaade',
+        'checkout.name': 'Täisnimi',
+        'checkout.email': 'E-post',
+        'checkout.phone': 'Telefon',
+        'checkout.backToCart': 'Tagasi ostukorvi',
+        'checkout.continue': 'Jätka',
+        'checkout.back': 'Tagasi',
+        'checkout.homeDelivery': 'Kojuvedu',
+        'checkout.pickup': 'Järeletulemine esindusest',
+        'checkout.address': 'Tänav ja maja',
+        'checkout.city': 'Linn',
+        'checkout.postcode': 'Postiindeks',
+        'checkout.showroom': 'Esindus',
+        'checkout.chooseShowroom': 'Vali esindus…',
+        'checkout.cardName': 'Nimi kaardil',
+        'checkout.cardNumber': 'Kaardi number',
+        'checkout.cardExpiry': 'Kehtivus (KK/AA)',
+        'checkout.cardCvc': 'CVC',
+        'checkout.bank': 'Pank',
+        'checkout.chooseBank': 'Vali pank…',
+        'checkout.terms': 'Nõustun müügitingimustega',
+        'checkout.payNow': 'Maksa kohe',
+        'checkout.processing': 'Makse töötlemine…',
+        'checkout.yourCars': 'Sinu autod',
+        'checkout.customer': 'Klient',
+        'checkout.delivery': 'Tarne',
+        'checkout.payment': 'Makse',
+        'checkout.pickupAt': 'Järeletulemine: {showroom}',
+        'checkout.deliveryTo': 'Kojuvedu: {address}',
+        'checkout.cardEnding': '{method}, lõpeb numbritega {last4}',
+        'checkout.thankYou': 'Aitäh, {name}!',
+        'checkout.orderNumber': 'Sinu tellimuse number on <strong>{number}</strong>.',
+        'checkout.status': 'Olek: {status}',
+        'checkout.emailSent': 'Kinnitus saadeti aadressile {email}.',
+        'checkout.backToShop': 'Tagasi poodi',
+        'checkout.viewInvoice': 'Vaata arvet',
+        'checkout.error.name': 'Palun sisesta oma täisnimi.',
+        'checkout.error.email': 'Palun sisesta kehtiv e-posti aadress.',
+        'checkout.error.phone': 'Palun sisesta kehtiv telefoninumber, nt +372 5123 4567.',
+        'checkout.error.address': 'Palun sisesta tarneaadress.',
+        'checkout.error.city': 'Palun sisesta linn.',
+        'checkout.error.postcode': 'Postiindeksis peab olema 5 numbrit.',
+        'checkout.error.showroom': 'Palun vali esindus.',
+        'checkout.error.deliveryMethod': 'Palun vali kojuvedu või järeletulemine esindusest.',
+        'checkout.error.paymentMethod': 'Palun vali makseviis.',
+        'checkout.error.cardName': 'Palun sisesta kaardil olev nimi.',
+        'checkout.error.cardNumber': 'Palun kontrolli kaardi numbrit.',
+        'checkout.error.cardExpiry': 'Kasuta kuju KK/AA ja kuupäeva, mis pole möödas.',
+        'checkout.error.cardCvc': 'CVC on kaardi tagaküljel olevad 3 või 4 numbrit.',
+        'checkout.error.bank': 'Palun vali oma pank.',
+        'checkout.error.terms': 'Palun nõustu müügitingimustega.',
+        'payment.method.card': 'Krediit- / deebetkaart',
+        'payment.method.banklink': 'Pangalink',
+        'payment.method.transfer': 'Pangaülekanne (arve)',
+        'order.status.paid': 'makstud',
+        'order.status.awaiting payment': 'ootab makset',
+
+        // Order history (order-history.js, tellimused.html)
+        'orders.pageTitle': 'Tellimuste ajalugu - BMW M Shop',
+        'orders.title': 'Tellimuste ajalugu',
+        'orders.intro': 'Kõik sellest brauserist tehtud tellimused.',
+        'orders.link': 'Tellimuste ajalugu →',
+        'orders.search': 'Otsi tellimust',
+        'orders.searchPlaceholder': 'Tellimuse number, nimi või e-post',
+        'orders.count': {
+            one: '{count} tellimus',
+            other: '{count} tellimust'
+        },
+        'orders.empty': 'Tellimusi veel ei ole.',
+        'orders.noMatch': 'Otsingule vastavaid tellimusi ei leitud.',
+        'orders.number': 'Tellimus {number}',
+        'orders.invoice': 'Arve',
+        'orders.toShop': 'Mine poodi',
+
+        // Invoice (invoice.js, arve.html)
+        'invoice.pageTitle': 'Arve - BMW M Shop',
+        'invoice.title': 'Arve nr {number}',
+        'invoice.print': 'Prindi',
+        'invoice.back': '← Tellimuste ajalugu',
+        'invoice.notFound': 'Sellise numbriga tellimust ei leitud.',
+        'invoice.seller': 'Müüja',
+        'invoice.buyer': 'Ostja',
+        'invoice.registryCode': 'Registrikood {code}',
+        'invoice.vatNumber': 'KMKR nr {number}',
+        'invoice.orderNumber': 'Tellimuse number',
+        'invoice.date': 'Arve kuupäev',
+        'invoice.dueDate': 'Maksetähtaeg',
+        'invoice.status': 'Olek',
+        'invoice.paymentMethod': 'Makseviis',
+        'invoice.col.description': 'Kirjeldus',
+        'invoice.col.quantity': 'Kogus',
+        'invoice.col.unitNet': 'Ühiku hind km-ta',
+        'invoice.col.vat': 'Käibemaks {rate}%',
+        'invoice.col.total': 'Summa',
+        'invoice.discount': 'Soodustus {code} – {label}',
+        'invoice.net': 'Summa käibemaksuta',
+        'invoice.total': 'Kokku',
+        'invoice.paid': 'Tasutud: {amount}.',
+        'invoice.payBy': 'Palun tasuge {amount} hiljemalt {date} arvelduskontole {iban}, selgitusse tellimuse number {number}.',
+        'invoice.financedRest': 'Ülejäänud summa tasutakse finantseerimislepingu alusel: {plan}.',
+        'invoice.thanks': 'Täname, et valisite BMW M-i!'
+    },
+
+    en: {
+        // Header
+        'header.currency': 'Display currency',
+        'header.theme': 'Colour theme',
+        'header.language': 'Language',
+        'header.cart': '🛒 Cart',
+        'shop.slogan': 'Power. Precision. Emotion.',
+        'shop.footer': '© 2026 BMW M Shop • Learning project',
+
+        // Themes (theme.js)
+        'theme.auto': '🌓 Auto',
+        'theme.dark': '🌙 Dark',
+        'theme.light': '☀️ Light',
+        'theme.high-contrast': '◐ High contrast',
+
+        // Search and filters (esileht.html, filter.js)
+        'filter.title': 'Search',
+        'filter.searchPlaceholder': 'Search (e.g., M3, V8, twin turbo)',
+        'filter.minPrice': 'Min Price (€)',
+        'filter.maxPrice': 'Max Price (€)',
+        'filter.reset': 'Reset Filters',
+        'filter.quick.affordable': 'Affordable (< €100k)',
+        'filter.quick.luxury': 'Luxury (> €100k)',
+        'filter.sortBy': 'Sort by',
+        'filter.noResults.title': 'No cars match your filters',
+        'filter.noResults.hint': 'Try a different search or fewer filters.',
+        'facet.hp': 'Power',
+        'facet.hp.under-500': 'Under 500 hp',
+        'facet.hp.500-599': '500–599 hp',
+        'facet.hp.600-plus': '600+ hp',
+        'facet.drivetrain': 'Drivetrain',
+        'facet.availability': 'Availability',
+        'facet.availability.in-stock': 'In stock',
+        'facet.availability.pre-order': 'Pre-order',
+        'facet.availability.sold-out': 'Sold out',
+        'sort.featured': 'Featured',
+        'sort.price-asc': 'Price: low to high',
+        'sort.price-desc': 'Price: high to low',
+        'sort.hp-desc': 'Most powerful',
+        'sort.acceleration-asc': 'Quickest 0–100 km/h',
+        'sort.newest': 'Newest',
+
+        // Timeline (esileht.html)
+        'timeline.title': 'BMW M models through the years:',
+        'timeline.2018': 'M3 F80 – RWD, All-Sport.',
+        'timeline.2021': 'M4 G82 – Aggressive newcomer, M xDrive.',
+        'timeline.2023': 'M5 Competition – Luxury and supercar power.',
+
+        // Product cards and detail page (catalog.js, toode.html)
+        'product.learnMore': 'Learn more',
+        'product.buy': 'Purchase now!',
+        'product.hp': '{hp} hp',
+        'product.acceleration': '0–100 km/h {seconds} s',
+        'product.inStock': '{count} in stock',
+        'product.preOrder': 'Pre-order – expected {date}',
+        'product.soldOut': 'Sold out',
+        'product.preOrderButton': 'Pre-order now!',
+        'product.notFound': 'Model not found',
+        'product.notFoundText': 'This model is not in our shop.',
+        'product.back': '← Back to shop.',
+
+        // Configurator (catalog.js, configurator.js)
+        'config.title': 'Configure your {name}',
+        'config.included': 'Included',
+        'config.total': 'Your car: {amount}',
+        'config.group.paint': 'Paint',
+        'config.group.wheels': 'Wheels',
+        'config.group.transmission': 'Transmission',
+        'config.group.drivetrain': 'Drivetrain',
+        'config.group.packages': 'Option packages',
+        'option.paint.alpine-white': 'Alpine White',
+        'option.paint.black-sapphire': 'Black Sapphire metallic',
+        'option.paint.isle-of-man-green': 'Isle of Man Green metallic',
+        'option.paint.frozen-portimao-blue': 'Frozen Portimao Blue matte',
+        'option.wheels.standard': '19"/20" M light-alloy wheels',
+        'option.wheels.forged': '20"/21" M forged wheels',
+        'option.transmission.automatic': '8-speed M Steptronic automatic',
+        'option.transmission.manual': '6-speed manual',
+        'option.drivetrain.rwd': 'Rear-wheel drive (RWD)',
+        'option.drivetrain.xdrive': 'M xDrive all-wheel drive',
+        'option.packages.comfort': 'Comfort package',
+        'option.packages.drivers': 'M Driver\'s Package (top speed 290 km/h)',
+        'option.packages.carbon': 'M Carbon exterior package',
+        'option.packages.ceramic-brakes': 'M Carbon ceramic brakes',
+
+        // Cart (cart.js, ostukorv.html)
+        'cart.pageTitle': 'Cart - BMW M Shop',
+        'cart.title': 'Cart',
+        'cart.intro': 'Your chosen BMW M cars:',
+        'cart.added': {
+            one: '✓ {name} added! ({count} car in cart)',
+            other: '✓ {name} added! ({count} cars in cart)'
+        },
+        'cart.empty': 'Cart is empty.',
+        'cart.emptyToast': 'Your cart is empty.',
+        'cart.price': 'Price: {amount}',
+        'cart.total': 'Total: {amount}',
+        'cart.subtotal': 'Subtotal: {amount}',
+        'cart.net': 'Net (excl. VAT): {amount}',
+        'cart.vat': 'VAT {rate}%: {amount}',
+        'cart.chargedInEuros': 'Charged in euros: {amount}',
+        'cart.remove': 'Remove',
+        'cart.removePromo': 'Remove {code}',
+        'cart.pay': 'Pay',
+        'cart.continue': 'Continue shopping',
+        'cart.clear': 'Clear cart',
+        'cart.decrease': 'Fewer: {name}',
+        'cart.increase': 'More: {name}',
+        'cart.quantity': 'Quantity: {name}',
+        'drawer.title': 'Your cart',
+        'drawer.close': 'Close the cart',
+        'drawer.count': {
+            one: '{count} car',
+            other: '{count} cars'
+        },
+        'drawer.checkout': 'Go to checkout',
+        'drawer.viewCart': 'View cart',
+        'cart.preOrdered': {
+            one: '✓ {name} pre-ordered! ({count} car in cart)',
+            other: '✓ {name} pre-ordered! ({count} cars in cart)'
+        },
+
+        // Cart export and import (cart-transfer.js)
+        'transfer.exportJson': 'Export JSON',
+        'transfer.exportCsv': 'Export CSV',
+        'transfer.import': 'Import file',
+        'transfer.imported': {
+            one: '{count} car imported from the file',
+            other: '{count} cars imported from the file'
+        },
+        'transfer.importEmpty': 'The file has no cars that can be ordered.',
+        'transfer.importFailed': 'The file could not be read. Use a JSON or CSV file exported from this shop.',
+
+        // Undo / redo of cart changes (cart-history.js) and notifications (toast.js)
+        'history.undo': 'Undo',
+        'history.redo': 'Redo',
+        'history.undone': 'Undone: {action}',
+        'history.redone': 'Redone: {action}',
+        'history.add': '{name} added to the cart',
+        'history.remove': '{name} removed from the cart',
+        'history.quantity': '{name} quantity changed to {count}',
+        'history.clear': 'Cart cleared',
+        'toast.close': 'Close notification',
+        'testDrive.title': 'Book a test drive',
+        'testDrive.intro': 'Try the {name} before you buy: choose a showroom, a day and a time. A test drive takes {minutes} minutes.',
+        'testDrive.notAvailable': 'Test drives of the {name} can\'t be booked right now.',
+        'testDrive.showroom': 'Showroom',
+        'testDrive.chooseDay': 'Choose a day',
+        'testDrive.chooseTime': 'Choose a time',
+        'testDrive.dayFree': {
+            one: '{day}, {count} free time',
+            other: '{day}, {count} free times'
+        },
+        'testDrive.dayFull': '{day}, no free times',
+        'testDrive.pickDayFirst': 'Choose a day in the calendar to see the free times.',
+        'testDrive.booked': 'booked',
+        'testDrive.book': 'Book test drive',
+        'testDrive.bookAt': 'Book: {when}',
+        'testDrive.error.slot': 'Choose a day and time for the test drive.',
+        'testDrive.slotTaken': 'This time has just been booked by someone else. Please choose another time.',
+        'testDrive.bookedToast': '✓ {name} test drive booked!',
+        'testDrive.confirmed': 'Your test drive is booked: {when}, {showroom}.',
+        'testDrive.addToCalendar': 'Add to calendar (.ics)',
+        'testDrive.calendarTitle': 'Test drive: {name}',
+        'testDrive.calendarText': 'BMW M Shop test drive, booking number {id}. Please bring your driving licence.',
+        'bookings.pageTitle': 'My bookings - BMW M Shop',
+        'bookings.title': 'My bookings',
+        'bookings.intro': 'Test drives booked from this browser.',
+        'bookings.upcoming': 'Upcoming test drives',
+        'bookings.past': 'Past test drives',
+        'bookings.empty': 'You haven\'t booked any test drives yet.',
+        'bookings.noneUpcoming': 'No upcoming test drives.',
+        'bookings.cancel': 'Cancel',
+        'bookings.cancelled': 'Test drive cancelled: {when}',
+        'pwa.updateReady': 'A new version of the shop is ready.',
+        'pwa.reload': 'Reload',
+        'pwa.offline': 'You are offline. The shop and your cart keep working.',
+        'pwa.online': 'You are back online.',
+        'sync.shareTitle': 'Continue on another device',
+        'sync.shareText': 'Open this link on your phone or the showroom laptop - the cart is the same there.',
+        'sync.copy': 'Copy link',
+        'sync.copied': 'Link copied.',
+        'sync.saved': '✓ Your cart is saved on the server.',
+        'sync.waiting': {
+            one: '{count} change is waiting for a connection to the server.',
+            other: '{count} changes are waiting for a connection to the server.'
+        },
+        'sync.updated': 'Your cart was changed on another device.',
+        'sync.conflict': 'Your cart was changed on another device in the meantime; showing that cart.',
+        'sync.keepMine': 'Keep my cart',
+
+        // Analytics dashboard (analuutika.html)
+        'analytics.pageTitle': 'Analytics - BMW M Shop',
+        'analytics.title': 'Analytics',
+        'analytics.intro': 'What customers did in the shop in this browser. Nothing is sent anywhere.',
+        'analytics.optOut': 'Don\'t collect statistics in this browser (also deletes the log)',
+        'analytics.exportJSON': 'Download JSON',
+        'analytics.exportCSV': 'Download CSV',
+        'analytics.clear': 'Clear log',
+        'analytics.cleared': 'Analytics log cleared.',
+        'analytics.empty': 'No events have been logged yet.',
+        'analytics.optedOut': 'Statistics are switched off in this browser.',
+        'analytics.summary': {
+            one: '{count} event since {since} · visits: {visits}',
+            other: '{count} events since {since} · visits: {visits}'
+        },
+        'analytics.funnel': 'Funnel (visits)',
+        'analytics.stepViewed': 'Viewed a car',
+        'analytics.stepAdded': 'Added to cart',
+        'analytics.stepCart': 'Opened the cart',
+        'analytics.stepCheckout': 'Started checkout',
+        'analytics.stepOrdered': 'Ordered',
+        'analytics.zeroResults': 'Searches that found nothing',
+        'analytics.noZeroResults': 'Every search found at least one car.',
+        'analytics.term': 'Search',
+        'analytics.searches': 'Times',
+        'analytics.byModel': 'Conversion by model (visits)',
+        'analytics.model': 'Model',
+        'analytics.conversion': 'Viewed → ordered',
+
+        // Stock checks (cart.js)
+        'stock.soldOut': '{name} is sold out.',
+        'stock.limit': {
+            one: 'Only {count} {name} can be ordered.',
+            other: 'Only {count} × {name} can be ordered.'
+        },
+        'stock.lineSoldOut': 'Sold out – please remove this car from the cart.',
+        'stock.lineTooMany': 'Only {count} available – please lower the quantity.',
+        'stock.fixCart': 'Some cars are no longer available. Please update the cart before paying.',
+
+        // Financing and leasing (financing.js)
+        'finance.fromMonthly': 'from {amount}/month',
+        'finance.title': 'Financing and leasing',
+        'finance.useFinancing': 'Pay in monthly instalments',
+        'finance.typeLabel': 'Type',
+        'finance.type.loan': 'Car loan',
+        'finance.type.lease': 'Leasing',
+        'finance.downPayment': 'Down payment (%)',
+        'finance.term': 'Term',
+        'finance.months': {
+            one: '{count} month',
+            other: '{count} months'
+        },
+        'finance.rate': 'Interest (% a year)',
+        'finance.balloon': 'Balloon / residual (%)',
+        'finance.perMonth': {
+            one: '{amount} a month for {count} month',
+            other: '{amount} a month for {count} months'
+        },
+        'finance.downPaymentNow': 'Down payment now',
+        'finance.financed': 'Amount financed',
+        'finance.balloonAtEnd': 'Balloon at the end of the term',
+        'finance.totalInterest': 'Total interest',
+        'finance.totalPaid': 'Total paid',
+        'finance.schedule': 'Show payment schedule',
+        'finance.col.month': 'Month',
+        'finance.col.payment': 'Payment',
+        'finance.col.interest': 'Interest',
+        'finance.col.principal': 'Principal',
+        'finance.col.balance': 'Balance',
+        'finance.summary': '{type}: {months} × {monthly}, down payment {down}, balloon {balloon}',
+        'finance.dueNow': 'Due today: {amount}',
+
+        // Model comparison (compare.js, vordlus.html)
+        'compare.toggle': 'Compare',
+        'compare.selected': {
+            one: '{count} model selected for comparison',
+            other: '{count} models selected for comparison'
+        },
+        'compare.open': 'Compare →',
+        'compare.clear': 'Clear',
+        'compare.limit': 'You can compare up to {max} models at a time.',
+        'compare.pageTitle': 'Compare models - BMW M Shop',
+        'compare.title': 'Compare models',
+        'compare.intro': 'The selected models side by side.',
+        'compare.needTwo': 'Tick "Compare" on at least two models in the shop.',
+        'compare.chooseModels': 'Choose models',
+        'compare.remove': 'Remove {name} from the comparison',
+        'compare.best': 'Best',
+        'compare.legend': 'Highlighted rows differ between the models; ★ marks the best value.',
+        'compare.row.price': 'Price',
+        'compare.row.engine': 'Engine',
+        'compare.row.hp': 'Power',
+        'compare.row.acceleration': '0–100 km/h',
+        'compare.row.drivetrain': 'Drivetrain',
+        'compare.row.availability': 'Availability',
+
+        // Promo codes (promo.js)
+        'promo.label': 'Promo code',
+        'promo.placeholder': 'e.g. AUTUMN26',
+        'promo.apply': 'Apply',
+        'promo.enterCode': 'Please enter a promo code.',
+        'promo.invalid': '"{code}" is not a valid promo code.',
+        'promo.expired': '{code} expired on {date}.',
+        'promo.alreadyApplied': '{code} is already applied.',
+        'promo.notCombinable': '{code} cannot be combined with other codes.',
+        'promo.productOnly': '{code} only applies to the {product}.',
+        'promo.minSpend': '{code} needs a minimum spend of {amount}.',
+        'promo.applied': '✓ {code} applied: {label}',
+        'promo.removed': '{code} removed.',
+        'promo.note.expired': 'expired',
+        'promo.note.minSpend': 'needs {amount} minimum',
+        'promo.note.modelMissing': 'model not in cart',
+
+        // Checkout (checkout.js, kassa.html)
+        'checkout.pageTitle': 'Checkout - BMW M Shop',
+        'checkout.title': 'Checkout',
+        'checkout.intro': 'Just a few steps to your new BMW M.',
+        'checkout.step.details': '1. Details',
+        'checkout.step.delivery': '2. Delivery',
+        'checkout.step.payment': '3. Payment',
+        'checkout.step.review': '4. Review',
+        'checkout.name': 'Full name',
+        'checkout.email': 'Email',
+        'checkout.phone': 'Phone',
+        'checkout.backToCart': 'Back to cart',
+        'checkout.continue': 'Continue',
+        'checkout.back': 'Back',
+        'checkout.homeDelivery': 'Home delivery',
+        'checkout.pickup': 'Pick up from a showroom',
+        'checkout.address': 'Street address',
+        'checkout.city': 'City',
+        'checkout.postcode': 'Postal code',
+        'checkout.showroom': 'Showroom',
+        'checkout.chooseShowroom': 'Choose a showroom…',
+        'checkout.cardName': 'Name on card',
+        'checkout.cardNumber': 'Card number',
+        'checkout.cardExpiry': 'Expiry (MM/YY)',
+        'checkout.cardCvc': 'CVC',
+        'checkout.bank': 'Bank',
+        'checkout.chooseBank': 'Choose your bank…',
+        'checkout.terms': 'I accept the terms of sale',
+        'checkout.payNow': 'Pay now',
+        'checkout.processing': 'Processing payment…',
+        'checkout.yourCars': 'Your cars',
+        'checkout.customer': 'Customer',
+        'checkout.delivery': 'Delivery',
+        'checkout.payment': 'Payment',
+        'checkout.pickupAt': 'Pickup: {showroom}',
+        'checkout.deliveryTo': 'Delivery: {address}',
+        'checkout.cardEnding': '{method} ending in {last4}',
+        'checkout.thankYou': 'Thank you, {name}!',
+        'checkout.orderNumber': 'Your order number is <strong>{number}</strong>.',
+        'checkout.status': 'Status: {status}',
+        'checkout.emailSent': 'A confirmation has been sent to {email}.',
+        'checkout.backToShop': 'Back to shop',
+        'checkout.viewInvoice': 'View invoice',
+        'checkout.error.name': 'Please enter your full name.',
+        'checkout.error.email': 'Please enter a valid email address.',
+        'checkout.error.phone': 'Please enter a valid phone number, e.g. +372 5123 4567.',
+        'checkout.error.address': 'Please enter the delivery address.',
+        'checkout.error.city': 'Please enter the city.',
+        'checkout.error.postcode': 'Postal code must have 5 digits.',
+        'checkout.error.showroom': 'Please choose a showroom.',
+        'checkout.error.deliveryMethod': 'Please choose delivery or showroom pickup.',
+        'checkout.error.paymentMethod': 'Please choose a payment method.',
+        'checkout.error.cardName': 'Please enter the name on the card.',
+        'checkout.error.cardNumber': 'Please check the card number.',
+        'checkout.error.cardExpiry': 'Use MM/YY format and a date that has not passed.',
+        'checkout.error.cardCvc': 'CVC is the 3 or 4 digits on the back of the card.',
+        'checkout.error.bank': 'Please choose your bank.',
+        'checkout.error.terms': 'Please accept the terms of sale.',
+        'payment.method.card': 'Credit / debit card',
+        'payment.method.banklink': 'Bank link',
+        'payment.method.transfer': 'Bank transfer (invoice)',
+        'order.status.paid': 'paid',
+        'order.status.awaiting payment': 'awaiting payment',
+
+        // Order history (order-history.js, tellimused.html)
+        'orders.pageTitle': 'Order history - BMW M Shop',
+        'orders.title': 'Order history',
+        'orders.intro': 'All orders placed from this browser.',
+        'orders.link': 'Order history →',
+        'orders.search': 'Search orders',
+        'orders.searchPlaceholder': 'Order number, name or e-mail',
+        'orders.count': {
+            one: '{count} order',
+            other: '{count} orders'
+        },
+        'orders.empty': 'No orders yet.',
+        'orders.noMatch': 'No orders match the search.',
+        'orders.number': 'Order {number}',
+        'orders.invoice': 'Invoice',
+        'orders.toShop': 'Go to the shop',
+
+        // Invoice (invoice.js, arve.html)
+        'invoice.pageTitle': 'Invoice - BMW M Shop',
+        'invoice.title': 'Invoice no. {number}',
+        'invoice.print': 'Print',
+        'invoice.back': '← Order history',
+        'invoice.notFound': 'There is no order with this number.',
+        'invoice.seller': 'Seller',
+        'invoice.buyer': 'Buyer',
+        'invoice.registryCode': 'Registry code {code}',
+        'invoice.vatNumber': 'VAT no. {number}',
+        'invoice.orderNumber': 'Order number',
+        'invoice.date': 'Invoice date',
+        'invoice.dueDate': 'Due date',
+        'invoice.status': 'Status',
+        'invoice.paymentMethod': 'Payment method',
+        'invoice.col.description': 'Description',
+        'invoice.col.quantity': 'Qty',
+        'invoice.col.unitNet': 'Unit price excl. VAT',
+        'invoice.col.vat': 'VAT {rate}%',
+        'invoice.col.total': 'Amount',
+        'invoice.discount': 'Discount {code} – {label}',
+        'invoice.net': 'Total excl. VAT',
+        'invoice.total': 'Total',
+        'invoice.paid': 'Paid: {amount}.',
+        'invoice.payBy': 'Please pay {amount} by {date} to account {iban}, quoting order number {number}.',
+        'invoice.financedRest': 'The rest is paid under the financing agreement: {plan}.',
+        'invoice.thanks': 'Thank you for choosing BMW M!'
+    }
+};
+
+// ===== CHOSEN LANGUAGE =====
+// Saved in localStorage so the choice is remembered between visits and pages
+function getLanguage() {
+    const saved = localStorage.getItem('language');
+    return translations[saved] ? saved : DEFAULT_LANGUAGE;
+}
+
+// ===== TRANSLATE ONE TEXT =====
+// key: message key, params: values for the {placeholders}
+// params.count also chooses the plural form, if the text has several
+// Examples (en):
+//   t('cart.remove')                             → "Remove"
+//   t('cart.added', { name: 'BMW M3', count: 1 }) → "✓ BMW M3 added! (1 car in cart)"
+//   t('cart.added', { name: 'BMW M3', count: 3 }) → "✓ BMW M3 added! (3 cars in cart)"
+function t(key, params = {}) {
+    const language = getLanguage();
+    let message = translations[language][key];
+
+    // Missing in this language: try English, and show the key itself as a last resort
+    if (message === undefined) {
+        console.warn(`i18n: no "${language}" text for "${key}"`);
+        message = translations[FALLBACK_LANGUAGE][key];
+    }
+    if (message === undefined) {
+        return key;
+    }
+
+    // Plural forms: Intl.PluralRules says which category a number belongs to
+    // e.g. in English 1 → 'one', 3 → 'other'
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(language).select(params.count);
+        message = message[category] || message.other;
+    }
+
+    // Replace every {name} with params.name (unknown placeholders stay as they are)
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        name in params ? String(params[name]) : placeholder
+    );
+}
+
+// ===== TRANSLATE THE TEXTS IN THE HTML =====
+// <h1 data-i18n="cart.title">               → text content
+// <input data-i18n-placeholder="...">       → placeholder attribute
+// <select data-i18n-aria-label="...">       → aria-label attribute
+function translatePage() {
+    document.documentElement.lang = getLanguage();
+
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.getAttribute('data-i18n'));
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.setAttribute('placeholder', t(element.getAttribute('data-i18n-placeholder')));
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.getAttribute('data-i18n-aria-label')));
+    });
+}
+
+// ===== SHOW A LANGUAGE ON THE PAGE =====
+// Translates the HTML and tells the other files to redraw their own texts
+// Other files listen with window.addEventListener('languagechange', ...)
+function applyLanguage() {
+    translatePage();
+
+    document.querySelectorAll('.language-picker').forEach(select => {
+        select.value = getLanguage();
+    });
+
+    window.dispatchEvent(new CustomEvent('languagechange', { detail: { language: getLanguage() } }));
+}
+
+// ===== CHANGE THE LANGUAGE =====
+// Runs when the customer picks a language in the header
+function setLanguage(language) {
+    if (!translations[language]) {
+        return;
+    }
+    localStorage.setItem('language', language);
+    applyLanguage();
+}
+
+// ===== LANGUAGE PICKER =====
+// Fills every <select class="language-picker"> on the page with the languages
+function renderLanguagePickers() {
+    const current = getLanguage();
+
+    document.querySelectorAll('.language-picker').forEach(select => {
+        select.innerHTML = Object.keys(languageNames)
+            .map(language => `<option value="${language}"${language === current ? ' selected' : ''}>${languageNames[language]}</option>`)
+            .join('');
+
+        select.addEventListener('change', function() {
+            setLanguage(select.value);
+        });
+    });
+}
+
+// ===== SET lang IMMEDIATELY =====
+// Screen readers and the browser's spell checker use <html lang="...">
+document.documentElement.lang = getLanguage();
+
+// ===== RUN WHEN PAGE LOADS =====
+window.addEventListener('DOMContentLoaded', function() {
+    translatePage();
+    renderLanguagePickers();
+});
+
+// ===== FOLLOW OTHER TABS =====
+// Picking a language in one tab changes it in the other open tabs too
+window.addEventListener('storage', function(event) {
+    if (event.key === 'language') {
+        applyLanguage();
+    }
+});
@@ -0,0 +1,176 @@
+// ===== INVOICE =====
+// This file builds a printable invoice for one order on arve.html?order=BMW-2026-0001-K7QX
+// The order comes from orders.js; "Print" uses the browser's own print dialog,
+// and the print styles in arve.html leave only the invoice itself on the paper
+//
+// Key concepts:
+// - seller: our company details, required on every Estonian invoice
+// - VAT: our prices include VAT, so net and VAT are worked out backwards with
+//   calculateVat() from money.js - only for the total, because the discounts
+//   are taken off the whole order, not off one line
+// - due date: bank transfers are paid later, within INVOICE_PAYMENT_DAYS
+
+// ===== SELLER =====
+const seller = {
+    name: 'BMW M Shop OÜ',
+    registryCode: '16123456',
+    vatNumber: 'EE102345678',
+    address: 'Pärnu mnt 139, 11317 Tallinn',
+    email: 'info@bmw-m-shop.ee',
+    phone: '+372 600 1234',
+    iban: 'EE38 2200 2210 2014 5685'
+};
+
+// Days the customer has to pay an invoice by bank transfer
+const INVOICE_PAYMENT_DAYS = 14;
+
+// "19. oktoober 2026" / "19 October 2026" - invoices show the day, not the time
+function formatInvoiceDate(date) {
+    return new Intl.DateTimeFormat(getLanguage(), { dateStyle: 'long' }).format(date);
+}
+
+// ===== ONE ROW OF THE INVOICE TABLE =====
+// Description (with options), quantity, unit price without VAT and line total
+function invoiceLineHTML(line) {
+    const lineTotal = line.price * line.quantity;
+    const options = line.config ? describeConfiguration(line.config).join(' · ') : '';
+    return `
+        <tr>
+            <td>${line.name}${options ? `<br><small>${options}</small>` : ''}</td>
+            <td>${line.quantity}</td>
+            <td>${formatEuro(calculateVat(line.price).net)}</td>
+            <td>${formatEuro(lineTotal)}</td>
+        </tr>
+    `;
+}
+
+// Discounts are rows with a negative amount
+function invoiceDiscountHTML(discount) {
+    return `
+        <tr class="invoice-discount">
+            <td colspan="3">${t('invoice.discount', { code: discount.code, label: discount.label })}</td>
+            <td>−${formatEuro(discount.amount)}</td>
+        </tr>
+    `;
+}
+
+// ===== HOW IS THE INVOICE PAID? =====
+// Paid, or "please pay by ..." for bank transfers; financed orders only pay
+// the down payment now, the rest follows the financing agreement
+function invoicePaymentHTML(order, dueDate) {
+    const amountNow = order.financing ? order.financing.downPayment : order.total;
+
+    const paymentText = order.status === 'paid'
+        ? t('invoice.paid', { amount: formatEuro(amountNow) })
+        : t('invoice.payBy', {
+            amount: formatEuro(amountNow),
+            date: formatInvoiceDate(dueDate),
+            iban: seller.iban,
+            number: order.number
+        });
+
+    const financingText = order.financing
+        ? `<p>${t('invoice.financedRest', { plan: describeFinancing(order.financing) })}</p>`
+        : '';
+
+    return `<p>${paymentText}</p>${financingText}`;
+}
+
+// ===== BUILD THE INVOICE =====
+function renderInvoice() {
+    const container = document.getElementById('invoice');
+    if (!container) {
+        return;
+    }
+
+    const order = findOrder(new URLSearchParams(location.search).get('order'));
+    if (!order) {
+        document.title = t('invoice.pageTitle');
+        container.innerHTML = `<p>${t('invoice.notFound')}</p>`;
+        return;
+    }
+
+    // The title becomes the file name when the invoice is saved as a PDF
+    document.title = t('invoice.title', { number: order.number });
+
+    const orderDate = new Date(order.date);
+    const dueDate = new Date(orderDate);
+    dueDate.setDate(dueDate.getDate() + INVOICE_PAYMENT_DAYS);
+
+    const customer = order.customer;
+    const delivery = order.delivery;
+    const buyerAddress = delivery.method === 'delivery'
+        ? `<br>${escapeHTML(delivery.address)}, ${escapeHTML(delivery.postcode)} ${escapeHTML(delivery.city)}`
+        : '';
+
+    const totals = calculateVat(order.total);
+
+    container.innerHTML = `
+        <h1>${t('invoice.title', { number: order.number })}</h1>
+
+        <div class="invoice-parties">
+            <div>
+                <h2>${t('invoice.seller')}</h2>
+                <p>
+                    <strong>${seller.name}</strong><br>
+                    ${seller.address}<br>
+                    ${t('invoice.registryCode', { code: seller.registryCode })}<br>
+                    ${t('invoice.vatNumber', { number: seller.vatNumber })}<br>
+                    ${seller.email} · ${seller.phone}
+                </p>
+            </div>
+            <div>
+                <h2>${t('invoice.buyer')}</h2>
+                <p>
+                    <strong>${escapeHTML(customer.name)}</strong>${buyerAddress}<br>
+                    ${escapeHTML(customer.email)}<br>
+                    ${escapeHTML(customer.phone)}
+                </p>
+            </div>
+        </div>
+
+        <dl class="invoice-meta">
+            <dt>${t('invoice.orderNumber')}</dt><dd>${order.number}</dd>
+            <dt>${t('invoice.date')}</dt><dd>${formatInvoiceDate(orderDate)}</dd>
+            ${order.status === 'paid' ? '' : `<dt>${t('invoice.dueDate')}</dt><dd>${formatInvoiceDate(dueDate)}</dd>`}
+            <dt>${t('invoice.status')}</dt><dd>${t(`order.status.${order.status}`)}</dd>
+            <dt>${t('invoice.paymentMethod')}</dt><dd>${describePayment(order.payment)}</dd>
+        </dl>
+
+        <table class="invoice-table">
+            <thead>
+                <tr>
+                    <th>${t('invoice.col.description')}</th>
+                    <th>${t('invoice.col.quantity')}</th>
+                    <th>${t('invoice.col.unitNet')}</th>
+                    <th>${t('invoice.col.total')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${order.lines.map(invoiceLineHTML).join('')}
+                ${(order.discounts || []).filter(discount => discount.amount > 0).map(invoiceDiscountHTML).join('')}
+            </tbody>
+            <tfoot>
+                <tr><td colspan="3">${t('invoice.net')}</td><td>${formatEuro(totals.net)}</td></tr>
+                <tr><td colspan="3">${t('invoice.col.vat', { rate: VAT_RATE * 100 })}</td><td>${formatEuro(totals.vat)}</td></tr>
+                <tr class="invoice-total"><td colspan="3">${t('invoice.total')}</td><td>${formatEuro(totals.gross)}</td></tr>
+            </tfoot>
+        </table>
+
+        ${invoicePaymentHTML(order, dueDate)}
+        <p>${describeDelivery(delivery)}</p>
+        <p class="invoice-thanks">${t('invoice.thanks')}</p>
+    `;
+}
+
+// ===== PRINT =====
+// Opens the browser's print dialog ("Save as PDF" is one of the printers)
+function printInvoice() {
+    window.print();
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+window.addEventListener('DOMContentLoaded', renderInvoice);
+
+// The whole invoice is text, so a new language means drawing it again
+window.addEventListener('languagechange', renderInvoice);
@@ -0,0 +1,290 @@
+// ===== LOCAL MOCK SERVER =====
+// A small stand-in for the shop's real server, for trying out the shop on your
+// own computer: it serves the shop's files AND the API in api.js
+// Carts and orders are kept in memory only - stopping the server forgets them
+//
+//   node mock-server.js                     → http://localhost:8080/esileht.html
+//   PORT=3000 node mock-server.js           → another port
+//   MOCK_DELAY=2000 node mock-server.js     → every API answer takes 2 seconds,
+//                                             to see the "waiting" state
+//
+// Key concepts:
+// - only Node.js's own modules (http, fs, path): nothing to install
+// - version: every cart change adds one to the cart's version; a change based
+//   on an older version gets 409 Conflict and the current cart (see api.js)
+// - GET /api/carts lists every cart, for sales staff
+//
+// This file runs in Node.js, not in the browser; the shop's pages never load it
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// ===== SETTINGS =====
+const PORT = Number(process.env.PORT) || 8080;
+const MOCK_DELAY = Number(process.env.MOCK_DELAY) || 0;
+const ROOT = __dirname;
+const MAX_BODY_BYTES = 100000;
+
+// The kinds of files the shop is made of - nothing else is served
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// In the shop's folder, but not part of the shop
+const PRIVATE_FILES = ['mock-server.js'];
+
+// ===== THE "DATABASE" =====
+// carts: { "C-4K7QX2M9": { id, version, items, updated } }
+// orders: [{ cartId, order }]
+const carts = {};
+const orders = [];
+
+// A cart nobody has saved yet is empty, at version 0
+function getCart(cartId) {
+    return carts[cartId] || { id: cartId, version: 0, items: [], updated: null };
+}
+
+// ===== WHICH CART LINE IS THIS? =====
+// Like cartLineKey() in cart-storage.js, but the server doesn't know the catalog:
+// the options are sorted by name, so the same choices always give the same key
+function lineKey(line) {
+    const config = line.config && typeof line.config === 'object' ? line.config : {};
+    const options = Object.keys(config).sort().map(name => `${name}=${config[name]}`);
+    return `${line.id}/${options.join('/')}`;
+}
+
+// ===== CHECK WHAT THE BROWSER SENT =====
+// The shop checks its lines itself (sanitizeCartItems); the server only makes
+// sure they have the right shape (typeof null is 'object' too, so null is checked apart)
+function isValidLine(line) {
+    return Boolean(line) && typeof line.id === 'string' &&
+        Number.isInteger(line.quantity) && line.quantity >= 1 &&
+        (line.config === undefined ||
+            (typeof line.config === 'object' && line.config !== null && !Array.isArray(line.config)));
+}
+
+function isValidOperation(operation) {
+    if (!operation || !operation.line || typeof operation.line.id !== 'string') {
+        return false;
+    }
+    return operation.op === 'remove' || (operation.op === 'set' && isValidLine(operation.line));
+}
+
+// ===== CHANGE A CART =====
+// Returns [status, answer]
+function replaceCart(cartId, body) {
+    if (!body || !Number.isInteger(body.baseVersion) || !Array.isArray(body.items) || !body.items.every(isValidLine)) {
+        return [400, { error: 'Expected { baseVersion, items }' }];
+    }
+    return saveCartChange(cartId, body.baseVersion, () => body.items);
+}
+
+function patchCart(cartId, body) {
+    if (!body || !Number.isInteger(body.baseVersion) || !Array.isArray(body.operations) || !body.operations.every(isValidOperation)) {
+        return [400, { error: 'Expected { baseVersion, operations }' }];
+    }
+    return saveCartChange(cartId, body.baseVersion, items => {
+        body.operations.forEach(operation => {
+            const key = lineKey(operation.line);
+            const index = items.findIndex(line => lineKey(line) === key);
+            if (operation.op === 'remove') {
+                if (index !== -1) {
+                    items.splice(index, 1);
+                }
+            } else if (index !== -1) {
+                items[index] = operation.line;
+            } else {
+                items.push(operation.line);
+            }
+        });
+        return items;
+    });
+}
+
+// Only a change based on the current version is saved
+function saveCartChange(cartId, baseVersion, change) {
+    const cart = getCart(cartId);
+    if (baseVersion !== cart.version) {
+        return [409, { error: 'The cart has changed', cart: cart }];
+    }
+    carts[cartId] = {
+        id: cartId,
+        version: cart.version + 1,
+        items: change(cart.items.slice()),
+        updated: new Date().toISOString()
+    };
+    return [200, carts[cartId]];
+}
+
+// ===== ORDERS =====
+// An order sent twice (the answer got lost on the way) is saved only once
+function addOrder(body) {
+    if (!body || typeof body.cartId !== 'string' || !body.order ||
+        typeof body.order.number !== 'string' || typeof body.order.date !== 'string') {
+        return [400, { error: 'Expected { cartId, order }' }];
+    }
+    const saved = orders.find(entry => entry.cartId === body.cartId &&
+        entry.order.number === body.order.number && entry.order.date === body.order.date);
+    if (saved) {
+        return [200, saved.order];
+    }
+    orders.push({ cartId: body.cartId, order: body.order });
+    return [201, body.order];
+}
+
+// ===== ANSWER ONE API REQUEST =====
+// Returns [status, answer]
+function handleApi(method, pathname, query, body) {
+    const parts = pathname.split('/').filter(Boolean); // ['api', 'carts', 'C-…']
+
+    // sync.js asks this first: without an answer here the shop doesn't sync at all
+    if (parts[1] === 'health' && parts.length === 2 && method === 'GET') {
+        return [200, { ok: true }];
+    }
+
+    if (parts[1] === 'carts' && parts.length === 2 && method === 'GET') {
+        return [200, Object.values(carts)];
+    }
+
+    if (parts[1] === 'carts' && parts.length === 3) {
+        const cartId = parts[2];
+        if (method === 'GET') {
+            return carts[cartId] ? [200, carts[cartId]] : [404, { error: 'No such cart' }];
+        }
+        if (method === 'PUT') {
+            return replaceCart(cartId, body);
+        }
+        if (method === 'PATCH') {
+            return patchCart(cartId, body);
+        }
+        return [405, { error: 'Method not allowed' }];
+    }
+
+    if (parts[1] === 'orders' && parts.length === 2) {
+        if (method === 'POST') {
+            return addOrder(body);
+        }
+        if (method === 'GET') {
+            const cartId = query.get('cart');
+            return [200, orders.filter(entry => entry.cartId === cartId).map(entry => entry.order)];
+        }
+        return [405, { error: 'Method not allowed' }];
+    }
+
+    return [404, { error: 'Unknown address' }];
+}
+
+// ===== SEND AN ANSWER =====
+// CORS headers: the API also answers pages opened from another address
+function sendJSON(response, status, data) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, PATCH, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept'
+    });
+    response.end(status === 204 ? undefined : JSON.stringify(data));
+}
+
+// ===== THE SHOP'S FILES =====
+// path.resolve + the startsWith check: "/../../etc/passwd" can't leave the shop's folder
+// Only the shop's kinds of files (CONTENT_TYPES), and nothing hidden: a part of the
+// path starting with "." (.git/HEAD, .env) is refused, as is this server's own code
+function isShopFile(pathname) {
+    const parts = pathname.split('/').filter(Boolean);
+    return parts.every(part => !part.startsWith('.')) &&
+        Boolean(CONTENT_TYPES[path.extname(pathname)]) &&
+        !PRIVATE_FILES.includes(parts.join('/'));
+}
+
+function serveFile(response, pathname) {
+    if (pathname === '/') {
+        pathname = '/esileht.html';
+    }
+    const file = path.resolve(ROOT, '.' + pathname);
+    if (!file.startsWith(ROOT + path.sep) || !isShopFile(pathname)) {
+        response.writeHead(403);
+        response.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] });
+        response.end(content);
+    });
+}
+
+// ===== READ THE REQUEST BODY =====
+// callback(error, data): data is the parsed JSON, or undefined for an empty body
+function readBody(request, callback) {
+    let text = '';
+    request.on('data', chunk => {
+        text += chunk;
+        if (text.length > MAX_BODY_BYTES) {
+            request.destroy();
+        }
+    });
+    request.on('end', () => {
+        if (text === '') {
+            callback(null, undefined);
+            return;
+        }
+        try {
+            callback(null, JSON.parse(text));
+        } catch (error) {
+            callback(error);
+        }
+    });
+}
+
+// ===== THE SERVER =====
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+
+    // "%E0" and other broken escapes can't be decoded
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+
+    if (!pathname.startsWith('/api/')) {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.writeHead(405);
+            response.end();
+            return;
+        }
+        serveFile(response, pathname);
+        return;
+    }
+
+    // The browser asks first whether PUT/PATCH from another address is allowed
+    if (request.method === 'OPTIONS') {
+        sendJSON(response, 204, null);
+        return;
+    }
+
+    readBody(request, (error, body) => {
+        const [status, data] = error ? [400, { error: 'Invalid JSON' }] : handleApi(request.method, pathname, url.searchParams, body);
+        setTimeout(() => sendJSON(response, status, data), MOCK_DELAY);
+        console.log(`${request.method} ${url.pathname}${url.search} → ${status}`);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`BMW M Shop with mock API: http://localhost:${PORT}/esileht.html`);
+    console.log(`All carts (for sales staff): http://localhost:${PORT}/api/carts`);
+});
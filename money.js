@@ -0,0 +1,106 @@
+// ===== MONEY FORMATTING & VAT =====
+// This file is the ONE place that turns a number into a price text
+// Every price in the shop goes through formatMoney(), so all prices look the same
+//
+// Key concepts:
+// - Intl.NumberFormat: the browser's built-in number formatter that knows how
+//   each country writes money (et-EE writes "89 900 €", en-US writes "$89,900")
+// - All prices in the catalog, cart and orders are stored in EUROS, including VAT
+// - Display currency: the customer can choose to SEE approximate prices in SEK or USD
+//   The shop still charges in euros, so converted prices are marked with "≈"
+
+// ===== SETTINGS =====
+const MONEY_LOCALE = 'et-EE';     // Estonian number format is the default
+const BASE_CURRENCY = 'EUR';      // Currency all prices are stored and charged in
+const VAT_RATE = 0.24;            // Estonian VAT 24%
+
+// ===== EXCHANGE RATES =====
+// How much 1 euro is worth in each currency
+// Bundled with the shop (no internet lookup), so the converted prices are approximate
+const exchangeRates = {
+    EUR: 1,
+    SEK: 11.2,
+    USD: 1.08
+};
+
+// ===== CHOSEN DISPLAY CURRENCY =====
+// Saved in localStorage so the choice is remembered between visits
+function getDisplayCurrency() {
+    const saved = localStorage.getItem('currency');
+    // Only accept currencies we have a rate for
+    return exchangeRates[saved] ? saved : BASE_CURRENCY;
+}
+
+function setDisplayCurrency(currency) {
+    if (!exchangeRates[currency]) {
+        return;
+    }
+    localStorage.setItem('currency', currency);
+
+    // Tell the rest of the page to redraw its prices
+    // Other files listen with window.addEventListener('currencychange', ...)
+    window.dispatchEvent(new CustomEvent('currencychange', { detail: { currency: currency } }));
+}
+
+// ===== FORMAT A PRICE =====
+// amount: price in euros
+// options.currency: show in this currency instead of the chosen display currency
+//   (use formatEuro() for amounts that are actually charged, e.g. orders)
+// Examples (et-EE):
+//   formatMoney(89900)    → "89 900 €"
+//   formatMoney(2697.5)   → "2697,50 €"
+//   with SEK chosen       → "≈ 1 006 880 SEK"
+function formatMoney(amount, options = {}) {
+    const currency = options.currency || getDisplayCurrency();
+    const converted = amount * exchangeRates[currency];
+    const isApproximate = currency !== BASE_CURRENCY;
+
+    // Whole amounts (car prices) don't need ",00"; converted prices are rounded anyway
+    const wholeNumber = isApproximate || Number.isInteger(Math.round(converted * 100) / 100);
+
+    const formatter = new Intl.NumberFormat(MONEY_LOCALE, {
+        style: 'currency',
+        currency: currency,
+        minimumFractionDigits: wholeNumber ? 0 : 2,
+        maximumFractionDigits: wholeNumber ? 0 : 2
+    });
+
+    const text = formatter.format(isApproximate ? Math.round(converted) : converted);
+    return isApproximate ? `≈ ${text}` : text;
+}
+
+// ===== FORMAT AN AMOUNT IN EUROS =====
+// For money that is really charged: checkout, orders, payment messages
+function formatEuro(amount) {
+    return formatMoney(amount, { currency: BASE_CURRENCY });
+}
+
+// ===== VAT BREAKDOWN =====
+// Our prices already include VAT (gross), so we work backwards:
+// net = gross / 1.24, VAT = gross - net
+// Example: calculateVat(124) → { net: 100, vat: 24, gross: 124 }
+function calculateVat(gross) {
+    // Round to whole cents so net + VAT always adds up to exactly the gross price
+    const net = Math.round((gross / (1 + VAT_RATE)) * 100) / 100;
+    const vat = Math.round((gross - net) * 100) / 100;
+    return { net: net, vat: vat, gross: gross };
+}
+
+// ===== CURRENCY PICKER =====
+// Fills every <select class="currency-picker"> on the page with the available currencies
+function renderCurrencyPickers() {
+    const current = getDisplayCurrency();
+
+    document.querySelectorAll('.currency-picker').forEach(select => {
+        select.innerHTML = Object.keys(exchangeRates)
+            .map(currency => `<option value="${currency}"${currency === current ? ' selected' : ''}>${currency}</option>`)
+            .join('');
+
+        select.addEventListener('change', function() {
+            setDisplayCurrency(select.value);
+        });
+    });
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+window.addEventListener('DOMContentLoaded', renderCurrencyPickers);
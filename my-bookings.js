@@ -0,0 +1,101 @@
+// ===== MY BOOKINGS =====
+// This file builds the list of test drives on proovisoidud.html
+// Upcoming test drives come first (soonest at the top) and can be cancelled or
+// added to a calendar; past ones are listed underneath for reference
+//
+// Key concepts:
+// - the bookings come from loadBookings() in bookings.js (localStorage)
+// - cancelling frees the slot at once; the toast's "Undo" books it again,
+//   unless someone has taken the slot in the meantime
+
+// ===== ONE BOOKING =====
+function bookingHTML(booking, upcoming) {
+    const product = getProduct(booking.productId);
+    const room = showrooms.find(r => r.id === booking.showroom);
+
+    // Past test drives can't be cancelled or put in the calendar any more
+    const buttons = upcoming
+        ? `
+            <div class="booking-buttons">
+                <button class="btn" onclick="downloadBookingICS('${booking.id}')">${t('testDrive.addToCalendar')}</button>
+                <button class="btn btn-cancel" onclick="cancelBooking('${booking.id}')">${t('bookings.cancel')}</button>
+            </div>
+        `
+        : '';
+
+    return `
+        <article class="booking${upcoming ? '' : ' past'}">
+            <h3>${t('testDrive.calendarTitle', { name: product ? product.name : booking.productId })}</h3>
+            <p class="booking-when">${formatSlot(booking.date, booking.time)}</p>
+            <p>${room ? room.name : booking.showroom}</p>
+            <p>${escapeHTML(booking.customer.name)} · ${escapeHTML(booking.customer.email)} · ${escapeHTML(booking.customer.phone)}</p>
+            ${buttons}
+        </article>
+    `;
+}
+
+// ===== BUILD THE LIST =====
+function renderBookings() {
+    const list = document.getElementById('booking-list');
+    if (!list) {
+        return;
+    }
+
+    // Soonest first: "2026-10-21 10:00" texts sort in time order
+    const bookings = loadBookings().sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+
+    if (bookings.length === 0) {
+        list.innerHTML = `
+            <p class="bookings-empty">${t('bookings.empty')}</p>
+            <a href="esileht.html" class="btn primary">${t('orders.toShop')}</a>
+        `;
+        return;
+    }
+
+    const upcoming = bookings.filter(booking => isUpcomingBooking(booking));
+    // Most recent past test drive first
+    const past = bookings.filter(booking => !isUpcomingBooking(booking)).reverse();
+
+    list.innerHTML = `
+        <h2>${t('bookings.upcoming')}</h2>
+        ${upcoming.length > 0
+            ? upcoming.map(booking => bookingHTML(booking, true)).join('')
+            : `<p class="bookings-empty">${t('bookings.noneUpcoming')}</p>`}
+        ${past.length > 0 ? `<h2>${t('bookings.past')}</h2>${past.map(booking => bookingHTML(booking, false)).join('')}` : ''}
+    `;
+}
+
+// ===== CANCEL A TEST DRIVE =====
+// No "Are you sure?" - the toast has an "Undo" button instead (like the cart)
+function cancelBooking(bookingId) {
+    const cancelled = cancelTestDrive(bookingId);
+    if (!cancelled) {
+        return;
+    }
+    renderBookings();
+
+    showToast(t('bookings.cancelled', { when: formatSlot(cancelled.date, cancelled.time) }), {
+        action: {
+            label: t('history.undo'),
+            onClick: function() {
+                if (!restoreTestDrive(cancelled)) {
+                    showToast(t('testDrive.slotTaken'));
+                }
+                renderBookings();
+            }
+        }
+    });
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+window.addEventListener('DOMContentLoaded', renderBookings);
+
+// Dates and texts follow the chosen language
+window.addEventListener('languagechange', renderBookings);
+
+// A booking made in another tab shows up here at once
+window.addEventListener('storage', function(event) {
+    if (event.key === 'testDrives') {
+        renderBookings();
+    }
+});
@@ -0,0 +1,98 @@
+// ===== ORDER HISTORY =====
+// This file builds the list of past orders on tellimused.html
+// Every order the checkout saved (orders.js) is shown, newest first, with its
+// date, cars, totals and status, and a link to its printable invoice (arve.html)
+//
+// Key concepts:
+// - the orders come from loadOrders() in orders.js (localStorage, like the cart)
+// - search: sales staff can find an order by its number, the customer's name or e-mail
+
+// ===== DOES AN ORDER MATCH THE SEARCH? =====
+// Case doesn't matter: "mari" finds "Mari Maasikas"
+function orderMatchesSearch(order, query) {
+    if (!query) {
+        return true;
+    }
+    const haystack = [order.number, order.customer.name, order.customer.email].join(' ').toLowerCase();
+    return haystack.includes(query.toLowerCase());
+}
+
+// ===== ONE ORDER =====
+function orderHistoryHTML(order) {
+    // 'awaiting payment' → 'awaiting-payment', so it can be a CSS class
+    const statusClass = order.status.replace(/\s+/g, '-');
+
+    return `
+        <article class="order">
+            <div class="order-header">
+                <h2>${t('orders.number', { number: order.number })}</h2>
+                <span class="order-status ${statusClass}">${t(`order.status.${order.status}`)}</span>
+            </div>
+            <p class="order-date">${formatOrderDate(order.date)}</p>
+            <ul>${order.lines.map(orderLineHTML).join('')}</ul>
+            ${discountLinesHTML(order.discounts || [])}
+            <p><strong>${t('cart.total', { amount: formatEuro(order.total) })}</strong></p>
+            ${order.financing ? `<p>${describeFinancing(order.financing)}</p>` : ''}
+            <p>${escapeHTML(order.customer.name)} · ${escapeHTML(order.customer.email)}</p>
+            <p>${describeDelivery(order.delivery)}</p>
+            <a href="arve.html?order=${encodeURIComponent(order.number)}" class="btn">${t('orders.invoice')}</a>
+        </article>
+    `;
+}
+
+// ===== BUILD THE LIST =====
+function renderOrderHistory() {
+    const list = document.getElementById('order-list');
+    if (!list) {
+        return;
+    }
+
+    const orders = loadOrders();
+    const summary = document.getElementById('order-summary');
+
+    if (orders.length === 0) {
+        summary.textContent = '';
+        list.innerHTML = `
+            <p class="orders-empty">${t('orders.empty')}</p>
+            <a href="esileht.html" class="btn primary">${t('orders.toShop')}</a>
+        `;
+        return;
+    }
+
+    const query = document.getElementById('order-search').value.trim();
+    // slice() makes a copy, so reverse() doesn't change the saved list; newest first
+    const matching = orders.slice().reverse().filter(order => orderMatchesSearch(order, query));
+
+    summary.textContent = t('orders.count', { count: matching.length });
+    list.innerHTML = matching.length > 0
+        ? matching.map(orderHistoryHTML).join('')
+        : `<p class="orders-empty">${t('orders.noMatch')}</p>`;
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+window.addEventListener('DOMContentLoaded', function() {
+    renderOrderHistory();
+
+    // Orders placed with this cart on other devices (sync.js)
+    pullServerOrders().then(added => {
+        if (added) {
+            renderOrderHistory();
+        }
+    });
+
+    // Search while typing
+    const search = document.getElementById('order-search');
+    if (search) {
+        search.addEventListener('input', renderOrderHistory);
+    }
+});
+
+// Dates, statuses and totals are texts too
+window.addEventListener('languagechange', renderOrderHistory);
+
+// An order placed in another tab shows up here at once
+window.addEventListener('storage', function(event) {
+    if (event.key === 'orders') {
+        renderOrderHistory();
+    }
+});
@@ -0,0 +1,157 @@
+// ===== ORDER STORAGE =====
+// This file saves finished orders to localStorage, the same way cart.js saves the cart
+// Orders are stored as a list under the key 'orders'
+// It also has the helpers that show an order (see SHOWING AN ORDER below)
+// and the checks for a customer's e-mail and phone number
+//
+// One order looks like:
+// {
+//   number: "BMW-2026-0001-K7QX",
+//   date: "2026-10-19T12:00:00.000Z",
+//   status: "paid",
+//   customer: { ... }, delivery: { ... }, payment: { ... },
+//   lines: [{ id: "m3", name: "BMW M3", price: 96800, quantity: 1, config: { paint: "...", ... } }],
+//   subtotal: 89900,
+//   discounts: [{ code: "AUTUMN26", label: "...", amount: 2697 }],
+//   total: 87203,
+//   financing: { type: "lease", termMonths: 60, monthly: 1234.56, downPayment: 17440.6, ... } or null
+// }
+// Lines keep a copy of the name and price (including options), so an old order
+// still shows what the customer actually paid even if the catalog price changes later
+// financing is a copy of the plan chosen in the cart (financing.js); null = paid in full
+
+// ===== LOAD ALL ORDERS =====
+// Broken data gives an empty list instead of crashing the page (like loadCart())
+function loadOrders() {
+    let orders;
+    try {
+        orders = JSON.parse(localStorage.getItem('orders'));
+    } catch (error) {
+        console.warn('Order history was corrupted and cannot be read.', error);
+        return [];
+    }
+    return Array.isArray(orders) ? orders : [];
+}
+
+// ===== SAVE ONE NEW ORDER =====
+// 'ordersave' lets sync.js send the order to the server
+function saveOrder(order) {
+    const orders = loadOrders();
+    orders.push(order);
+    localStorage.setItem('orders', JSON.stringify(orders));
+    window.dispatchEvent(new CustomEvent('ordersave', { detail: { order: order } }));
+}
+
+// ===== FIND AN ORDER BY ITS NUMBER =====
+// Returns the order, or undefined if there is no order with that number
+function findOrder(orderNumber) {
+    return loadOrders().find(order => order.number === orderNumber);
+}
+
+// ===== CREATE THE NEXT ORDER NUMBER =====
+// Numbers count up per year, with 4 random characters at the end:
+// BMW-2026-0001-K7QX, BMW-2026-0002-M3PA, ...
+// The last used number is remembered in localStorage under 'orderCounter'
+// The counter is per browser, so two devices sharing a cart (sync.js) both make
+// a 0001; the random end keeps their orders apart
+function createOrderNumber() {
+    const year = new Date().getFullYear();
+    const counter = (parseInt(localStorage.getItem('orderCounter')) || 0) + 1;
+    localStorage.setItem('orderCounter', counter);
+
+    // Characters without look-alikes (no 0/O, 1/I/L), like the cart ids in sync.js
+    const alphabet = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+    const suffix = Array.from(crypto.getRandomValues(new Uint8Array(4)), byte => alphabet[byte % alphabet.length]).join('');
+
+    // padStart(4, '0') turns 7 into "0007"
+    return `BMW-${year}-${String(counter).padStart(4, '0')}-${suffix}`;
+}
+
+// ===== CUSTOMER CONTACT DETAILS =====
+// Checked in the checkout and in the test drive booking form (test-drive.js)
+
+function isValidEmail(email) {
+    // Something@something.something - good enough for a shop form
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function isValidPhone(phone) {
+    // Optional +, then at least 7 digits (spaces allowed between them)
+    return /^\+?[0-9 ]{7,20}$/.test(phone) && phone.replace(/\D/g, '').length >= 7;
+}
+
+// ===== SHOWING AN ORDER =====
+// The helpers below turn a saved order into text; they are shared by the
+// checkout (review and confirmation), the order history (tellimused.html)
+// and the invoice (arve.html)
+
+// "19. oktoober 2026 14:05" / "19 October 2026 at 14:05", in the chosen language
+function formatOrderDate(isoDate) {
+    return new Intl.DateTimeFormat(getLanguage(), { dateStyle: 'long', timeStyle: 'short' })
+        .format(new Date(isoDate));
+}
+
+// ===== SHOWROOMS FOR PICKUP =====
+const showrooms = [
+    { id: 'tallinn', name: 'BMW M Showroom Tallinn, Pärnu mnt 139' },
+    { id: 'tartu', name: 'BMW M Showroom Tartu, Ringtee 35' }
+];
+
+// ===== MAKE USER TEXT SAFE FOR innerHTML =====
+// Customers type their own name and address; characters like < or & must be
+// shown as text, not treated as HTML tags
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ===== TEXT DESCRIPTIONS OF DELIVERY AND PAYMENT =====
+function describeDelivery(delivery) {
+    if (delivery.method === 'pickup') {
+        const room = showrooms.find(r => r.id === delivery.showroom);
+        return t('checkout.pickupAt', { showroom: room ? room.name : delivery.showroom });
+    }
+    const address = `${escapeHTML(delivery.address)}, ${escapeHTML(delivery.postcode)} ${escapeHTML(delivery.city)}`;
+    return t('checkout.deliveryTo', { address: address });
+}
+
+// Name of a payment method in the chosen language, e.g. 'banklink' → "Pangalink"
+function paymentMethodLabel(methodId) {
+    return t(`payment.method.${methodId}`);
+}
+
+function describePayment(payment) {
+    const label = paymentMethodLabel(payment.method);
+    if (payment.method === 'card') {
+        return t('checkout.cardEnding', { method: label, last4: payment.cardLast4 });
+    }
+    if (payment.method === 'banklink') {
+        return `${label} (${payment.bank})`;
+    }
+    return label;
+}
+
+// ===== ONE ORDER LINE AS A LIST ITEM =====
+// "1 × BMW M3 — 96 800 €" with the chosen options underneath
+// Orders saved before the configurator have no config and show no options
+function orderLineHTML(line) {
+    const options = line.config ? describeConfiguration(line.config).join(' · ') : '';
+    return `
+        <li>
+            ${line.quantity} × ${line.name} — ${formatEuro(line.price * line.quantity)}
+            ${options ? `<br><small class="line-options">${options}</small>` : ''}
+        </li>
+    `;
+}
+
+// ===== DISCOUNT LINES =====
+// Only discounts that actually take something off are listed
+function discountLinesHTML(discounts) {
+    return discounts
+        .filter(discount => discount.amount > 0)
+        .map(discount => `<p>${discount.code} – ${discount.label}: −${formatEuro(discount.amount)}</p>`)
+        .join('');
+}
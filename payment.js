@@ -0,0 +1,58 @@
+// ===== MOCK PAYMENT PROVIDER =====
+// This file pretends to be a real payment company (like a bank or card processor)
+// Nothing leaves the browser - it's only for developing and testing the checkout
+//
+// Key concepts:
+// - methods: which ways to pay the provider supports
+// - charge(): "sends" the payment and answers after a short delay
+// - Promise: charge() returns a Promise, because real payments take time to answer
+//
+// Test cards:
+// - any valid card number          → approved
+// - card number ending in 0002     → declined
+// - card number ending in 0119     → provider error (try again later)
+
+const mockPaymentProvider = {
+    // ===== SUPPORTED PAYMENT METHODS =====
+    methods: [
+        { id: 'card', label: 'Credit / debit card' },
+        { id: 'banklink', label: 'Bank link', banks: ['Swedbank', 'SEB', 'LHV', 'Luminor'] },
+        { id: 'transfer', label: 'Bank transfer (invoice)' }
+    ],
+
+    // ===== CHARGE A PAYMENT =====
+    // amount: total in euros, payment: the details chosen in checkout
+    // Resolves with { status: 'approved', transactionId } or rejects with an Error
+    charge(amount, payment) {
+        return new Promise((resolve, reject) => {
+            // setTimeout simulates the time a real provider needs to answer
+            setTimeout(() => {
+                if (!(amount > 0)) {
+                    reject(new Error('Payment amount must be greater than zero.'));
+                    return;
+                }
+
+                if (payment.method === 'card') {
+                    const digits = payment.cardNumber.replace(/\D/g, '');
+                    if (digits.endsWith('0002')) {
+                        reject(new Error('The card was declined. Please use another card.'));
+                        return;
+                    }
+                    if (digits.endsWith('0119')) {
+                        reject(new Error('The payment provider is not responding. Please try again later.'));
+                        return;
+                    }
+                }
+
+                // Bank transfers are not paid yet - the customer pays the invoice later
+                const status = payment.method === 'transfer' ? 'pending' : 'approved';
+
+                resolve({
+                    status: status,
+                    // Date.now() in base 36 gives a short unique-looking id, e.g. "TX-LZ3K9Q2A"
+                    transactionId: 'TX-' + Date.now().toString(36).toUpperCase()
+                });
+            }, 800);
+        });
+    }
+};
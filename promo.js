@@ -0,0 +1,247 @@
+// ===== PROMO CODE & DISCOUNT SYSTEM =====
+// This file holds our campaign codes and the rules that decide how much they take off
+// cart.js calls calculateDiscounts() from calculateTotal(), so every total in the
+// shop (cart page, checkout, saved orders) includes the discounts
+//
+// Key concepts:
+// - promoCodes array: one object per campaign code (the "rules")
+// - applied codes: the codes the customer entered, saved in localStorage under 'promoCodes'
+// - discount line: { code, label, amount } - one line per applied code in #cart-total
+//
+// Rule fields:
+// - type: 'percent' (value = percentage) or 'fixed' (value = euros)
+// - productId: only discount this model (e.g. 'm4'); leave out for the whole cart
+// - minSpend: cart subtotal needed before the code works
+// - expires: last valid day, 'YYYY-MM-DD'
+// - stackable: false means the code can't be combined with any other code
+
+// ===== ALL CAMPAIGN CODES =====
+const promoCodes = [
+    {
+        code: 'AUTUMN26',
+        label: 'Autumn campaign -3%',
+        type: 'percent',
+        value: 3,
+        expires: '2026-11-30',
+        stackable: true
+    },
+    {
+        code: 'M4DAYS',
+        label: 'M4 -5%',
+        type: 'percent',
+        value: 5,
+        productId: 'm4',
+        expires: '2026-12-31',
+        stackable: true
+    },
+    {
+        code: 'WELCOME2000',
+        label: '€2000 off orders over €90 000',
+        type: 'fixed',
+        value: 2000,
+        minSpend: 90000,
+        stackable: true
+    },
+    {
+        code: 'VIP10',
+        label: 'VIP -10% (cannot be combined)',
+        type: 'percent',
+        value: 10,
+        minSpend: 150000,
+        stackable: false
+    },
+    {
+        code: 'SUMMER26',
+        label: 'Summer campaign -4%',
+        type: 'percent',
+        value: 4,
+        expires: '2026-08-31',
+        stackable: true
+    }
+];
+
+// ===== FIND A RULE BY ITS CODE =====
+// Codes are not case sensitive: "autumn26" finds "AUTUMN26"
+function findPromoCode(code) {
+    const wanted = code.trim().toUpperCase();
+    return promoCodes.find(promo => promo.code === wanted);
+}
+
+// ===== HAS THE CODE EXPIRED? =====
+// A code is valid until the END of its expiry day
+function isPromoExpired(promo, today = new Date()) {
+    if (!promo.expires) {
+        return false;
+    }
+    // 'T23:59:59' = the last second of that day in local time
+    return new Date(`${promo.expires}T23:59:59`) < today;
+}
+
+// ===== APPLIED CODES (SAVED IN THE BROWSER) =====
+// Always returns an array of code strings - broken data means no codes, not a broken cart
+function loadAppliedPromoCodes() {
+    let codes;
+    try {
+        codes = JSON.parse(localStorage.getItem('promoCodes'));
+    } catch (error) {
+        return [];
+    }
+    if (!Array.isArray(codes)) {
+        return [];
+    }
+    return codes.filter(code => typeof code === 'string');
+}
+
+function saveAppliedPromoCodes(codes) {
+    localStorage.setItem('promoCodes', JSON.stringify(codes));
+}
+
+// Forget all codes, e.g. after an order has been paid
+function clearPromoCodes() {
+    saveAppliedPromoCodes([]);
+}
+
+// ===== CAN THIS CODE BE ADDED? =====
+// Returns an error message (in the chosen language), or null if the code can be applied
+// lines: the cart lines, subtotal: cart total before discounts
+function checkPromoCode(code, appliedCodes, lines, subtotal) {
+    const promo = findPromoCode(code);
+
+    if (!promo) {
+        return t('promo.invalid', { code: code.trim() });
+    }
+    if (isPromoExpired(promo)) {
+        return t('promo.expired', { code: promo.code, date: promo.expires });
+    }
+    if (appliedCodes.includes(promo.code)) {
+        return t('promo.alreadyApplied', { code: promo.code });
+    }
+
+    // Non-stackable codes work alone: no other code may be in use, either way round
+    if (appliedCodes.length > 0 && !promo.stackable) {
+        return t('promo.notCombinable', { code: promo.code });
+    }
+    const exclusive = appliedCodes.map(findPromoCode).find(applied => applied && !applied.stackable);
+    if (exclusive) {
+        return t('promo.notCombinable', { code: exclusive.code });
+    }
+
+    if (promo.productId && !lines.some(line => line.id === promo.productId)) {
+        const product = getProduct(promo.productId);
+        return t('promo.productOnly', { code: promo.code, product: product ? product.name : promo.productId });
+    }
+    if (promo.minSpend && subtotal < promo.minSpend) {
+        return t('promo.minSpend', { code: promo.code, amount: formatMoney(promo.minSpend) });
+    }
+
+    return null;
+}
+
+// ===== HOW MUCH DOES ONE CODE TAKE OFF? =====
+// lines: [{ id, price, quantity }], subtotal: total before discounts
+function discountAmount(promo, lines, subtotal) {
+    // The amount the code works on: the whole cart, or only one model
+    let base = subtotal;
+    if (promo.productId) {
+        base = lines
+            .filter(line => line.id === promo.productId)
+            .reduce((sum, line) => sum + line.price * line.quantity, 0);
+    }
+
+    if (promo.type === 'percent') {
+        // Round to whole cents so the lines add up exactly
+        return Math.round(base * promo.value) / 100;
+    }
+
+    // Fixed amount can never be more than what it applies to
+    return Math.min(promo.value, base);
+}
+
+// ===== ALL DISCOUNT LINES FOR THE CART =====
+// Returns [{ code, label, amount }] for every applied code that still qualifies
+// Codes that stopped qualifying (e.g. the cart dropped below minSpend, or the
+// model was removed) stay saved but get amount 0 and a note explaining why
+function calculateDiscounts(lines, subtotal) {
+    const discounts = [];
+    let remaining = subtotal;
+
+    loadAppliedPromoCodes().forEach(code => {
+        const promo = findPromoCode(code);
+        if (!promo) {
+            return;
+        }
+
+        let note = '';
+        if (isPromoExpired(promo)) {
+            note = t('promo.note.expired');
+        } else if (promo.minSpend && subtotal < promo.minSpend) {
+            note = t('promo.note.minSpend', { amount: formatMoney(promo.minSpend) });
+        } else if (promo.productId && !lines.some(line => line.id === promo.productId)) {
+            note = t('promo.note.modelMissing');
+        }
+
+        // Never discount more than is left, so the total can't go below zero
+        const amount = note ? 0 : Math.min(discountAmount(promo, lines, subtotal), remaining);
+        remaining -= amount;
+
+        discounts.push({ code: promo.code, label: promo.label, amount: amount, note: note });
+    });
+
+    return discounts;
+}
+
+// ===== APPLY A CODE FROM THE FORM ON ostukorv.html =====
+function applyPromoCode(event) {
+    // Stop the form from reloading the page
+    event.preventDefault();
+
+    const input = document.getElementById('promo-input');
+    const message = document.getElementById('promo-message');
+    const code = input.value;
+
+    if (!code.trim()) {
+        message.textContent = t('promo.enterCode');
+        message.className = 'promo-error';
+        return;
+    }
+
+    const applied = loadAppliedPromoCodes();
+    const error = checkPromoCode(code, applied, cartPriceLines(), calculateSubtotal());
+
+    if (error) {
+        message.textContent = error;
+        message.className = 'promo-error';
+        return;
+    }
+
+    const promo = findPromoCode(code);
+    applied.push(promo.code);
+    saveAppliedPromoCodes(applied);
+
+    message.textContent = t('promo.applied', { code: promo.code, label: promo.label });
+    message.className = 'promo-success';
+    input.value = '';
+
+    displayCart();
+}
+
+// ===== REMOVE AN APPLIED CODE =====
+function removePromoCode(code) {
+    saveAppliedPromoCodes(loadAppliedPromoCodes().filter(applied => applied !== code));
+
+    const message = document.getElementById('promo-message');
+    if (message) {
+        message.textContent = t('promo.removed', { code: code });
+        message.className = '';
+    }
+
+    displayCart();
+}
+
+// ===== CONNECT THE FORM WHEN PAGE LOADS =====
+window.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('promo-form');
+    if (form) {
+        form.addEventListener('submit', applyPromoCode);
+    }
+});
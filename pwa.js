@@ -0,0 +1,80 @@
+// ===== INSTALLABLE, OFFLINE SHOP =====
+// This file starts the service worker (sw.js) that keeps the shop working
+// without a connection, and tells the customer when a new version is ready
+// Together with manifest.webmanifest it makes the shop installable: the browser
+// offers "Install" / "Add to home screen", and the shop opens in its own window
+//
+// Key concepts:
+// - navigator.serviceWorker.register(): installs sw.js (once; later visits reuse it)
+// - a new version installs in the background and waits; the toast's "Reload"
+//   button tells it to take over, and the page reloads with the new files
+// - controllerchange: fired when a new service worker has taken over this page
+// - online/offline events: a short note when the connection comes and goes;
+//   everything in the cart is in localStorage, so it keeps working either way
+
+// ===== A NEW VERSION IS READY =====
+// Set when the customer accepts the update, so only that reloads the page
+// (the very first install also takes over the page, which needs no reload)
+let reloadForUpdate = false;
+
+function offerUpdate(worker) {
+    showToast(t('pwa.updateReady'), {
+        sticky: true,
+        action: {
+            label: t('pwa.reload'),
+            onClick: function() {
+                reloadForUpdate = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            }
+        }
+    });
+}
+
+// ===== START THE SERVICE WORKER =====
+function registerServiceWorker() {
+    // Old browsers, and pages opened as a file (file://), can't have one
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            // A new version was already waiting (e.g. from the previous visit)
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                offerUpdate(registration.waiting);
+            }
+
+            // A new version is being downloaded now
+            registration.addEventListener('updatefound', function() {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', function() {
+                    // "installed" + an old worker still in charge = an update, not the first install
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        offerUpdate(worker);
+                    }
+                });
+            });
+        })
+        .catch(error => {
+            console.warn('Service worker could not be registered; the shop works online only.', error);
+        });
+
+    navigator.serviceWorker.addEventListener('controllerchange', function() {
+        if (reloadForUpdate) {
+            reloadForUpdate = false;
+            location.reload();
+        }
+    });
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+// 'load' (not DOMContentLoaded): the worker's downloads don't slow down the first visit
+window.addEventListener('load', registerServiceWorker);
+
+window.addEventListener('offline', function() {
+    showToast(t('pwa.offline'), 5000);
+});
+
+window.addEventListener('online', function() {
+    showToast(t('pwa.online'));
+});
@@ -0,0 +1,237 @@
+// ===== PRODUCT SEARCH INDEX =====
+// This file makes the search box smart:
+// - it searches the name, badge, specs and description of every car (from catalog.js)
+// - small typos still match ("trubo" finds "Turbo", "competion" finds "competition")
+// - spacing doesn't matter ("m 3" finds "M3")
+// - results get a score, so the best match can be shown first
+// - matched words can be highlighted with <mark> in the cards
+//
+// Key concepts:
+// - token: one word in lowercase, e.g. "BMW M3 Twin-Turbo" → "bmw", "m3", "twin", "turbo"
+// - index: every car's tokens, built ONCE when the page loads, so searching while
+//   typing only compares short word lists instead of re-reading all the texts
+
+// ===== HOW IMPORTANT EACH FIELD IS =====
+// A match in the name counts more than a match somewhere in the description
+const searchFieldWeights = {
+    name: 3,
+    badge: 2,
+    specs: 1.5,
+    description: 1
+};
+
+// ===== SPLIT TEXT INTO TOKENS =====
+// "4.4L Twin-Turbo V8" → ["4.4l", "twin", "turbo", "v8"]
+// \p{L} = any letter (also õ, ä, ö, ü), \p{N} = any digit
+// Dots are kept inside numbers so "4.2" stays one token
+function tokenize(text) {
+    return String(text)
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}.]+/u)
+        .map(token => token.replace(/^\.+|\.+$/g, ''))  // Remove dots at the start/end
+        .filter(token => token.length > 0);
+}
+
+// ===== BUILD THE INDEX =====
+// One entry per product: { id, fields: { name: [tokens], badge: [...], ... } }
+function buildSearchIndex(productList) {
+    return productList.map(product => {
+        const nameTokens = tokenize(product.name);
+        // The name without spaces ("bmwm3"), for people who type it that way
+        const compactName = nameTokens.join('');
+
+        return {
+            id: product.id,
+            nameTokens: nameTokens,
+            compactName: compactName,
+            fields: {
+                name: nameTokens.concat(compactName),
+                badge: tokenize(product.badge.text),
+                specs: tokenize([
+                    product.specs.engine,
+                    `${product.specs.hp} hp`,
+                    `${product.specs.acceleration} s`,
+                    product.specs.drivetrain,
+                    ...product.highlights
+                ].join(' ')),
+                description: tokenize(`${product.tagline} ${product.description}`)
+            }
+        };
+    });
+}
+
+// Built once from the catalog when this file loads
+const searchIndex = buildSearchIndex(products);
+
+// Every different token in the index, used to glue split words back together ("m 3" → "m3")
+const knownTokens = new Set();
+searchIndex.forEach(entry => {
+    for (const field in entry.fields) {
+        entry.fields[field].forEach(token => knownTokens.add(token));
+    }
+});
+
+// ===== TYPO DISTANCE =====
+// How many single-letter edits turn word a into word b?
+// Edits: add a letter, remove a letter, change a letter, swap two neighbouring letters
+// Examples: "trubo" → "turbo" = 1 (swap), "comptition" → "competition" = 1 (add)
+function editDistance(a, b) {
+    // table[i][j] = distance between the first i letters of a and the first j letters of b
+    const table = [];
+    for (let i = 0; i <= a.length; i++) {
+        table[i] = [i];
+    }
+    for (let j = 0; j <= b.length; j++) {
+        table[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            table[i][j] = Math.min(
+                table[i - 1][j] + 1,        // remove a letter
+                table[i][j - 1] + 1,        // add a letter
+                table[i - 1][j - 1] + cost  // change a letter (or keep it)
+            );
+            // Two neighbouring letters swapped
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                table[i][j] = Math.min(table[i][j], table[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return table[a.length][b.length];
+}
+
+// Longer words may have more typos; short words and anything with a digit
+// ("m3", "v8", "480") must be exact - otherwise "m3" would also find the M4
+function allowedTypos(word) {
+    if (word.length <= 3 || /\p{N}/u.test(word)) {
+        return 0;
+    }
+    return word.length <= 6 ? 1 : 2;
+}
+
+// ===== HOW WELL DOES ONE QUERY WORD MATCH ONE INDEX WORD? =====
+// 3 = exact, 2 = the index word starts with it (still typing), 1 = typo, 0 = no match
+function tokenMatchScore(queryToken, indexToken) {
+    if (queryToken === indexToken) {
+        return 3;
+    }
+    if (indexToken.startsWith(queryToken)) {
+        return 2;
+    }
+    // Quick length check first: the edit distance is at least the length difference
+    const typos = allowedTypos(queryToken);
+    if (typos > 0 && Math.abs(queryToken.length - indexToken.length) <= typos &&
+        editDistance(queryToken, indexToken) <= typos) {
+        return 1;
+    }
+    return 0;
+}
+
+// ===== TURN THE SEARCH TEXT INTO QUERY TOKENS =====
+// Neighbouring pieces that form a known word are glued together:
+// "m 3" → ["m3"], "twin turbo" stays ["twin", "turbo"]
+function queryTokens(searchText) {
+    const tokens = tokenize(searchText);
+    const merged = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const joined = tokens[i] + (tokens[i + 1] || '');
+        if (i + 1 < tokens.length && knownTokens.has(joined)) {
+            merged.push(joined);
+            i++; // Skip the next piece, it is part of this word now
+        } else {
+            merged.push(tokens[i]);
+        }
+    }
+    return merged;
+}
+
+// ===== SEARCH =====
+// Returns a Map of productId → { score, words } for every product that matches
+// - score: higher = better match (used to put the best match first)
+// - words: the index words that matched (used for highlighting)
+// A product matches when at least half of the query words are found in it,
+// so "bmw m3 competition" still finds the M3 even though "competition" isn't there
+const searchCache = new Map();
+
+function searchProducts(searchText) {
+    const key = searchText.trim().toLowerCase();
+    if (searchCache.has(key)) {
+        return searchCache.get(key);
+    }
+
+    const tokens = queryTokens(key);
+    const results = new Map();
+    const needed = Math.ceil(tokens.length / 2);
+
+    searchIndex.forEach(entry => {
+        let score = 0;
+        let matchedTokens = 0;
+        const words = new Set();
+
+        tokens.forEach(queryToken => {
+            // Best match for this query word across all fields of the product
+            let best = 0;
+            for (const field in entry.fields) {
+                entry.fields[field].forEach(indexToken => {
+                    const match = tokenMatchScore(queryToken, indexToken);
+                    if (match > 0) {
+                        words.add(indexToken);
+                        // "bmwm3" isn't written anywhere on the card - highlight "BMW" and "M3" instead
+                        if (indexToken === entry.compactName) {
+                            entry.nameTokens.forEach(token => words.add(token));
+                        }
+                        best = Math.max(best, match * searchFieldWeights[field]);
+                    }
+                });
+            }
+            if (best > 0) {
+                matchedTokens++;
+                score += best;
+            }
+        });
+
+        if (tokens.length > 0 && matchedTokens >= needed) {
+            results.set(entry.id, { score: score, words: words });
+        }
+    });
+
+    searchCache.set(key, results);
+    return results;
+}
+
+// ===== HIGHLIGHT MATCHED WORDS IN A CARD =====
+// Wraps every matched word in the card's name, badge and spec list in <mark>
+// words: Set of lowercase words to highlight (empty Set = remove all highlights)
+function highlightCard(card, words) {
+    card.querySelectorAll('h2, .badge, li').forEach(element => {
+        // Remember the plain text the first time, so old highlights can be removed
+        if (!element.hasAttribute('data-text')) {
+            element.setAttribute('data-text', element.textContent);
+        }
+        const text = element.getAttribute('data-text');
+
+        // split() with a capture group keeps the words AND the separators between them
+        element.innerHTML = text
+            .split(/([\p{L}\p{N}.]+)/u)
+            .map(part => {
+                const safe = part.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+                const word = part.toLowerCase().replace(/^\.+|\.+$/g, '');
+                return words.has(word) ? `<mark>${safe}</mark>` : safe;
+            })
+            .join('');
+    });
+}
+
+// ===== WAIT UNTIL THE USER STOPS TYPING =====
+// Returns a version of fn that only runs once no new call came in for `wait` milliseconds
+// Used for the search box, whose 'input' event fires on every keystroke
+function debounce(fn, wait) {
+    let timer = null;
+    return function(...args) {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn.apply(this, args), wait);
+    };
+}
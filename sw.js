@@ -0,0 +1,187 @@
+// ===== SERVICE WORKER =====
+// This file runs in the background, between the shop's pages and the network
+// It keeps a copy of every page, pood.css and script, so the shop opens and the
+// cart keeps working without a connection (e.g. at a showroom event with bad Wi-Fi)
+// It is started by pwa.js; it can't touch the page itself, only answer its requests
+//
+// Key concepts:
+// - precache: on install, every file in PRECACHE_FILES is downloaded into a cache
+// - cache first: pages, styles and scripts are answered from the cache at once;
+//   a new version of the shop comes with a new CACHE_VERSION (see below)
+// - car photos come from other websites: each one is kept the first time it
+//   loads, and a placeholder is shown when a photo can't be loaded at all
+// - update: a changed sw.js installs next to the old one and waits; pwa.js asks
+//   the customer, and the new version takes over when they say so
+
+// ===== VERSION =====
+// Change this on every release! The browser sees that sw.js changed, installs the
+// new files into a new cache, and the old cache is deleted once the update is accepted
+const CACHE_VERSION = 'v3';
+const CACHE_PREFIX = 'bmw-m-shop-';
+const SHELL_CACHE = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Photos are kept across versions: the same address is the same photo
+const IMAGE_CACHE = `${CACHE_PREFIX}images`;
+// Photos from other sites count as large in the browser's storage quota; keep the newest few
+const MAX_CACHED_IMAGES = 30;
+
+const PLACEHOLDER_IMAGE = 'placeholder-car.svg';
+
+// ===== FILES THAT ARE ALWAYS AVAILABLE OFFLINE =====
+// Every page and everything it loads; a new file in the shop must be added here too
+const PRECACHE_FILES = [
+    'esileht.html',
+    'toode.html',
+    'vordlus.html',
+    'ostukorv.html',
+    'kassa.html',
+    'tellimused.html',
+    'arve.html',
+    'proovisoidud.html',
+    'analuutika.html',
+    // Old addresses that forward to toode.html
+    'M3.html',
+    'M4.html',
+    'M5.html',
+    'pood.css',
+    'i18n.js',
+    'events.js',
+    'analytics.js',
+    'theme.js',
+    'money.js',
+    'catalog.js',
+    'promo.js',
+    'cart-storage.js',
+    'toast.js',
+    'cart-history.js',
+    'cart.js',
+    'cart-drawer.js',
+    'cart-transfer.js',
+    'download.js',
+    'search.js',
+    'filter.js',
+    'compare.js',
+    'configurator.js',
+    'financing.js',
+    'orders.js',
+    'payment.js',
+    'checkout.js',
+    'order-history.js',
+    'invoice.js',
+    'bookings.js',
+    'test-drive.js',
+    'my-bookings.js',
+    'analytics-dashboard.js',
+    'pwa.js',
+    'api.js',
+    'sync.js',
+    'manifest.webmanifest',
+    'icon.svg',
+    PLACEHOLDER_IMAGE
+];
+
+// ===== INSTALL: DOWNLOAD EVERYTHING =====
+// waitUntil(): the worker only counts as installed when all files are in the cache
+// If one file fails, the install fails, and the old version keeps working
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_FILES))
+    );
+});
+
+// ===== ACTIVATE: CLEAN UP OLD VERSIONS =====
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith(CACHE_PREFIX) && name !== SHELL_CACHE && name !== IMAGE_CACHE)
+                    .map(name => caches.delete(name))
+            ))
+            // Take over the open pages right away, so photos are kept from the first visit on
+            .then(() => self.clients.claim())
+    );
+});
+
+// ===== "UPDATE NOW" FROM pwa.js =====
+// A new version waits until every tab of the old one is closed - unless the
+// customer clicks "Reload" in the update toast
+self.addEventListener('message', function(event) {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ===== CAR PHOTOS: CACHE FIRST, PLACEHOLDER WHEN ALL ELSE FAILS =====
+// A photo the browser has kept is shown at once, even offline; a new one is
+// downloaded and kept. The photos are on other sites, so the answers are
+// "opaque" (the worker can't read them) - they are kept as they are
+function respondWithImage(request) {
+    // caches.match() looks in every cache: the icon and placeholder are in the precache
+    return caches.open(IMAGE_CACHE).then(cache =>
+        caches.match(request).then(cached => {
+            if (cached) {
+                return cached;
+            }
+            return fetch(request)
+                .then(response => {
+                    if (response.ok || response.type === 'opaque') {
+                        cache.put(request, response.clone()).then(() => trimImageCache(cache));
+                    }
+                    return response;
+                })
+                // No connection, or the site is down
+                .catch(() => caches.match(PLACEHOLDER_IMAGE));
+        })
+    );
+}
+
+// Deletes the oldest photos (the cache lists them in the order they were added)
+function trimImageCache(cache) {
+    return cache.keys().then(keys =>
+        Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_CACHED_IMAGES)).map(key => cache.delete(key)))
+    );
+}
+
+// ===== THE SHOP'S OWN FILES: CACHE FIRST =====
+// ignoreSearch: toode.html?id=m3 and arve.html?order=... are the cached toode.html
+// and arve.html - the scripts read the ?... part themselves
+function respondWithShellFile(request) {
+    return caches.open(SHELL_CACHE).then(cache =>
+        cache.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) {
+                return cached;
+            }
+            return fetch(request).catch(() => {
+                // An unknown page while offline: the front page is better than an error
+                if (request.mode === 'navigate') {
+                    return cache.match('esileht.html');
+                }
+                return Response.error();
+            });
+        })
+    );
+}
+
+// ===== EVERY REQUEST OF EVERY PAGE PASSES HERE =====
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+
+    // Only reading is cached; anything else (e.g. a form POST) goes to the network
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    // The API's answers change all the time and must never come from the cache;
+    // sync.js keeps working from localStorage when the API can't be reached
+    if (new URL(request.url).pathname.includes('/api/')) {
+        return;
+    }
+
+    if (request.destination === 'image') {
+        event.respondWith(respondWithImage(request));
+    } else if (new URL(request.url).origin === self.location.origin) {
+        event.respondWith(respondWithShellFile(request));
+    }
+    // Other sites' files are left to the browser
+});
@@ -0,0 +1,491 @@
+// ===== CART AND ORDER SYNC =====
+// This file keeps the cart (and placed orders) in step with the shop's server
+// (api.js), so the same cart can be opened on another device with a link,
+// and sales staff can see carts. localStorage stays the cart's home: everything
+// works offline, and changes are sent as soon as the server can be reached
+//
+// Key concepts:
+// - cart id: every cart gets a random id (e.g. "C-4K7QX2M9"); the link
+//   ostukorv.html?cart=C-4K7QX2M9 opens the same cart on another device
+// - queue: every change is first written to a queue in localStorage, then sent;
+//   offline the queue just waits (and survives closing the browser)
+// - patch or replace: a change to some lines is sent as a PATCH of those lines;
+//   a completely new cart (emptied, imported) replaces the whole cart with PUT
+// - conflicts are resolved by version: each change says which server version it
+//   was based on. When the cart has changed on the server since (409 Conflict):
+//     • line changes are sent again on top of the newer version, so changes on
+//       both devices are kept (the same line: the newest quantity wins)
+//     • a whole-cart replace based on an old version loses to the newer cart;
+//       the toast's "Keep my cart" button sends it again if that was wrong
+// - events: cart-storage.js fires 'cartsave' and orders.js fires 'ordersave';
+//   this file fires 'cartsynced' when the server's cart is shown (cart.js redraws,
+//   cart-history.js forgets the undo steps that belonged to the old cart)
+// - no API, no sync: the shop also runs from a plain web server; nothing is sent
+//   (and no share link is shown) unless the API answers probeShopApi() (api.js)
+
+// ===== SETTINGS =====
+const SYNC_STATE_KEY = 'cartSync';
+const SYNC_QUEUE_KEY = 'syncQueue';
+// Per tab (sessionStorage): 'yes' or 'no' - is there an API? Asked once per tab
+const SYNC_API_KEY = 'shopApi';
+const SYNC_RETRY_DELAY = 30000;      // Milliseconds before trying an unreachable server again
+const MAX_CONFLICT_RETRIES = 3;      // Rebased patches per try, in case the cart keeps changing
+
+// ===== IS THERE AN API TO SYNC WITH? =====
+// Resolves true or false; the answer is remembered for the tab, except when the
+// server couldn't be reached at all (offline) - then the next call asks again
+// shopApiAvailable: the answer so far (null = not known yet)
+let shopApiAvailable = null;
+let shopApiCheck = null;
+
+function whenSyncAvailable() {
+    const remembered = sessionStorage.getItem(SYNC_API_KEY);
+    if (remembered) {
+        shopApiAvailable = remembered === 'yes';
+        return Promise.resolve(shopApiAvailable);
+    }
+    if (!shopApiCheck) {
+        shopApiCheck = probeShopApi()
+            .then(available => {
+                shopApiAvailable = available;
+                sessionStorage.setItem(SYNC_API_KEY, available ? 'yes' : 'no');
+                // Changes queued before the answer came have nowhere to go
+                if (!available) {
+                    saveSyncQueue([]);
+                }
+                return available;
+            })
+            .catch(() => {
+                shopApiCheck = null;
+                return false;
+            });
+    }
+    return shopApiCheck;
+}
+
+// ===== WHICH CART IS THIS, AND WHAT DOES THE SERVER KNOW? =====
+// { cartId: "C-4K7QX2M9", version: 4, items: [...] }
+// version: the server version our changes are based on
+// items: the cart as it will be on the server once the queue is sent - the next
+//        change is compared with this to see which lines changed
+function loadSyncState() {
+    let state = null;
+    try {
+        state = JSON.parse(localStorage.getItem(SYNC_STATE_KEY));
+    } catch (error) {
+        console.warn('Cart sync data was corrupted and has been reset.', error);
+    }
+    if (!state || typeof state.cartId !== 'string' || !Number.isInteger(state.version) || !Array.isArray(state.items)) {
+        state = { cartId: newCartId(), version: 0, items: [] };
+        saveSyncState(state);
+    }
+    return state;
+}
+
+function saveSyncState(state) {
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+}
+
+// "C-" and 8 characters without look-alikes (no 0/O, 1/I/L), easy to read out loud
+// crypto.getRandomValues() gives real random numbers (Math.random() is guessable)
+function newCartId() {
+    const alphabet = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    return 'C-' + Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+}
+
+// ===== THE QUEUE =====
+// [{ id, type: 'patch', operations }, { id, type: 'replace', items }, { id, type: 'order', cartId, order }]
+function loadSyncQueue() {
+    try {
+        const queue = JSON.parse(localStorage.getItem(SYNC_QUEUE_KEY));
+        return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveSyncQueue(queue) {
+    localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(queue));
+    renderSyncStatus();
+}
+
+function removeFromSyncQueue(entryId) {
+    saveSyncQueue(loadSyncQueue().filter(entry => entry.id !== entryId));
+}
+
+function hasQueuedCartChanges() {
+    return loadSyncQueue().some(entry => entry.type !== 'order');
+}
+
+// Unique enough for telling queue entries apart
+function newQueueId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// ===== WHAT CHANGED? =====
+// Compares two carts line by line and returns the PATCH operations
+// Lines are told apart by cartLineKey() (cart-storage.js): model + options
+function cartDiff(before, after) {
+    const operations = [];
+    after.forEach(line => {
+        const old = before.find(other => cartLineKey(other) === cartLineKey(line));
+        if (!old || old.quantity !== line.quantity) {
+            operations.push({ op: 'set', line: line });
+        }
+    });
+    before.forEach(line => {
+        if (!after.some(other => cartLineKey(other) === cartLineKey(line))) {
+            operations.push({ op: 'remove', line: { id: line.id, config: line.config } });
+        }
+    });
+    return operations;
+}
+
+// Two patches in a row become one; for the same line the later operation wins
+function mergeOperations(older, newer) {
+    const byLine = new Map();
+    older.concat(newer).forEach(operation => byLine.set(cartLineKey(operation.line), operation));
+    return [...byLine.values()];
+}
+
+// ===== PUT A CART CHANGE IN THE QUEUE =====
+// Runs after every saveCart() (the 'cartsave' event below)
+// The entry being sent right now (inFlightId) is never changed: its answer is on the way
+let inFlightId = null;
+
+function queueCartChange(items) {
+    // No API here: nothing to queue for (offline = not known yet = queued,
+    // and dropped again by whenSyncAvailable() if the answer is "no API")
+    if (shopApiAvailable === false) {
+        return;
+    }
+    const state = loadSyncState();
+    const operations = cartDiff(state.items, items);
+    if (operations.length === 0) {
+        return; // e.g. the cart that was just loaded from the server
+    }
+
+    // Emptied, or not a single line left of the old cart (imported): a new cart
+    const keepsALine = items.some(line => state.items.some(old => cartLineKey(old) === cartLineKey(line)));
+    const isNewCart = items.length === 0 || (state.items.length > 0 && !keepsALine);
+
+    let queue = loadSyncQueue();
+    const last = queue[queue.length - 1];
+
+    if (isNewCart) {
+        // Earlier cart changes don't matter any more: the whole cart is replaced
+        queue = queue.filter(entry => entry.type === 'order');
+        queue.push({ id: newQueueId(), type: 'replace', items: items });
+    } else if (last && last.id !== inFlightId && last.type === 'replace') {
+        last.items = items;
+    } else if (last && last.id !== inFlightId && last.type === 'patch') {
+        last.operations = mergeOperations(last.operations, operations);
+    } else {
+        queue.push({ id: newQueueId(), type: 'patch', operations: operations });
+    }
+
+    saveSyncQueue(queue);
+    state.items = items;
+    saveSyncState(state);
+    flushSyncQueue();
+}
+
+// Orders are sent once and never change; the cart id tells the server whose order it is
+function queueOrder(order) {
+    if (shopApiAvailable === false) {
+        return;
+    }
+    const queue = loadSyncQueue();
+    queue.push({ id: newQueueId(), type: 'order', cartId: loadSyncState().cartId, order: order });
+    saveSyncQueue(queue);
+    flushSyncQueue();
+}
+
+// ===== SHOW THE SERVER'S CART =====
+// Returns true when the cart on the page changed
+function adoptServerCart(serverCart) {
+    const items = sanitizeCartItems(serverCart.items);
+    const state = loadSyncState();
+    state.version = serverCart.version;
+    state.items = items;
+    saveSyncState(state);
+
+    if (JSON.stringify(items) === JSON.stringify(loadCart())) {
+        return false;
+    }
+    showSyncedCart(items);
+    return true;
+}
+
+// Saves the cart and lets cart.js redraw it; saveCart() also queues the difference
+// to the server's cart, which is none when the cart came from the server
+function showSyncedCart(items) {
+    saveCart(items);
+    window.dispatchEvent(new CustomEvent('cartsynced', { detail: { items: items } }));
+}
+
+// ===== SEND THE QUEUE =====
+// One entry at a time, oldest first, so the server sees the changes in order
+let syncFlushing = false;
+let syncRetryTimer = null;
+
+function flushSyncQueue() {
+    return whenSyncAvailable().then(available => {
+        if (!available || syncFlushing) {
+            return; // The running flush also sends what was just queued
+        }
+        syncFlushing = true;
+        clearTimeout(syncRetryTimer);
+
+        return sendQueuedEntries(0)
+            .catch(error => {
+                // Offline or server down: everything stays in the queue for the next try
+                console.warn('Shop server not reachable; changes are kept until it is.', error);
+                syncRetryTimer = setTimeout(flushSyncQueue, SYNC_RETRY_DELAY);
+            })
+            .then(() => {
+                syncFlushing = false;
+                inFlightId = null;
+                renderSyncStatus();
+            });
+    });
+}
+
+function sendQueuedEntries(conflicts) {
+    const entry = loadSyncQueue()[0];
+    if (!entry) {
+        return Promise.resolve();
+    }
+    inFlightId = entry.id;
+
+    return sendQueuedEntry(entry).then(response => {
+        if (response.status >= 500) {
+            throw new Error(`Server error ${response.status}`);
+        }
+
+        if (entry.type === 'order') {
+            if (response.status >= 400) {
+                console.warn('The server refused an order; it stays saved in this browser only.', response);
+            }
+            removeFromSyncQueue(entry.id);
+            return sendQueuedEntries(0);
+        }
+
+        if (response.status === 409) {
+            // Without the server's cart (e.g. a proxy's error page) there is nothing
+            // to rebase on: the entry stays queued and the flush tries again later
+            if (!response.data || !isServerCart(response.data.cart)) {
+                throw new Error('Conflict answer without the server\'s cart');
+            }
+            return resolveConflict(entry, response.data.cart, conflicts);
+        }
+
+        if (response.status >= 400) {
+            console.warn('The server refused a cart change; it stays in this browser only.', response);
+            removeFromSyncQueue(entry.id);
+            return sendQueuedEntries(0);
+        }
+
+        // Saved: remember the new version. When nothing else is waiting, show the
+        // server's cart - it also has the changes made on other devices
+        removeFromSyncQueue(entry.id);
+        const state = loadSyncState();
+        state.version = response.data.version;
+        saveSyncState(state);
+        if (!hasQueuedCartChanges()) {
+            adoptServerCart(response.data);
+        }
+        return sendQueuedEntries(0);
+    });
+}
+
+// { version, items } as the API sends a cart
+function isServerCart(serverCart) {
+    return Boolean(serverCart) && Number.isInteger(serverCart.version) && Array.isArray(serverCart.items);
+}
+
+function sendQueuedEntry(entry) {
+    const state = loadSyncState();
+    if (entry.type === 'patch') {
+        return patchServerCart(state.cartId, state.version, entry.operations);
+    }
+    if (entry.type === 'replace') {
+        return replaceServerCart(state.cartId, state.version, entry.items);
+    }
+    return sendServerOrder(entry.cartId, entry.order);
+}
+
+// ===== CONFLICT: THE CART CHANGED ON THE SERVER =====
+function resolveConflict(entry, serverCart, conflicts) {
+    const state = loadSyncState();
+    state.version = serverCart.version;
+    saveSyncState(state);
+
+    // Line changes: the same change again, now based on the newer version
+    if (entry.type === 'patch') {
+        if (conflicts >= MAX_CONFLICT_RETRIES) {
+            throw new Error('The cart keeps changing on the server');
+        }
+        return sendQueuedEntries(conflicts + 1);
+    }
+
+    // A whole new cart based on an old version: the newer cart on the server wins
+    removeFromSyncQueue(entry.id);
+    const mine = entry.items;
+    if (!hasQueuedCartChanges()) {
+        adoptServerCart(serverCart);
+        showToast(t('sync.conflict'), {
+            action: { label: t('sync.keepMine'), onClick: () => showSyncedCart(mine) }
+        });
+    }
+    return sendQueuedEntries(0);
+}
+
+// ===== FETCH CHANGES MADE ON OTHER DEVICES =====
+// The server's cart is shown when it is newer, and nothing of ours is waiting
+// (our waiting changes are rebased when they are sent, see above)
+function pullServerCart() {
+    return whenSyncAvailable().then(available => available && fetchServerCartChanges());
+}
+
+function fetchServerCartChanges() {
+    const state = loadSyncState();
+    return fetchServerCart(state.cartId)
+        .then(response => {
+            // Only the API's own 404 (JSON) means "no such cart"; a 404 page from
+            // a plain web server says nothing about the cart
+            if (response.status === 404 && response.data) {
+                // Not on the server (yet): a new cart, or the server was reset - send ours
+                saveSyncQueue(loadSyncQueue().filter(entry => entry.type === 'order'));
+                saveSyncState({ cartId: state.cartId, version: 0, items: [] });
+                queueCartChange(loadCart());
+            } else if (response.status === 200 && response.data.version > state.version && !hasQueuedCartChanges()) {
+                if (adoptServerCart(response.data)) {
+                    showToast(t('sync.updated'));
+                }
+            }
+        })
+        // Offline: the cart in this browser is all there is for now
+        .catch(() => {});
+}
+
+// Orders placed with this cart on other devices join the order history
+// Returns a Promise of true when orders were added (order-history.js redraws then)
+function pullServerOrders() {
+    return whenSyncAvailable().then(available => available && fetchServerOrderChanges());
+}
+
+function fetchServerOrderChanges() {
+    return fetchServerOrders(loadSyncState().cartId)
+        .then(response => {
+            if (response.status !== 200 || !Array.isArray(response.data)) {
+                return false;
+            }
+            const orders = loadOrders();
+            // The number is what findOrder() looks for, so an order whose number is
+            // already taken here is left out: it is either ours, or another device's
+            // order from before numbers got their random end (BMW-2026-0001)
+            const missing = response.data.filter(order =>
+                !orders.some(own => own.number === order.number));
+            if (missing.length === 0) {
+                return false;
+            }
+            // Oldest first, like saveOrder() keeps them
+            const merged = orders.concat(missing).sort((a, b) => a.date.localeCompare(b.date));
+            localStorage.setItem('orders', JSON.stringify(merged));
+            return true;
+        })
+        .catch(() => false);
+}
+
+// ===== OPEN A CART FROM A LINK =====
+// ostukorv.html?cart=C-4K7QX2M9: this browser switches to that cart; the
+// next pull loads its lines from the server
+function useCartFromLink() {
+    const linked = new URLSearchParams(location.search).get('cart');
+    if (!linked || !/^C-[A-Z0-9]{8}$/.test(linked) || linked === loadSyncState().cartId) {
+        return;
+    }
+    // Unsent changes belonged to the old cart; orders are kept
+    saveSyncQueue(loadSyncQueue().filter(entry => entry.type === 'order'));
+    saveSyncState({ cartId: linked, version: 0, items: [] });
+}
+
+// ===== "CONTINUE ON ANOTHER DEVICE" BOX (ostukorv.html) =====
+function cartShareLink() {
+    return new URL(`ostukorv.html?cart=${loadSyncState().cartId}`, location.href).href;
+}
+
+// Only shown when there is an API - without one the link would open an empty cart
+function renderCartShare() {
+    const box = document.getElementById('cart-share');
+    if (!box) {
+        return;
+    }
+    box.hidden = !shopApiAvailable;
+    if (box.hidden) {
+        box.innerHTML = '';
+        return;
+    }
+    box.innerHTML = `
+        <h3>${t('sync.shareTitle')}</h3>
+        <p>${t('sync.shareText')}</p>
+        <div class="share-link">
+            <input id="cart-share-link" readonly value="${cartShareLink()}" aria-label="${t('sync.shareTitle')}">
+            <button type="button" onclick="copyCartLink()">${t('sync.copy')}</button>
+        </div>
+        <p class="sync-status" id="sync-status" aria-live="polite"></p>
+    `;
+    renderSyncStatus();
+}
+
+// "✓ Saved" or "3 changes waiting for a connection"
+function renderSyncStatus() {
+    const status = document.getElementById('sync-status');
+    if (!status) {
+        return;
+    }
+    const waiting = loadSyncQueue().length;
+    status.textContent = waiting === 0 ? t('sync.saved') : t('sync.waiting', { count: waiting });
+}
+
+function copyCartLink() {
+    const input = document.getElementById('cart-share-link');
+    // The clipboard needs https (or localhost); otherwise the link is selected for Ctrl+C
+    navigator.clipboard.writeText(input.value)
+        .then(() => showToast(t('sync.copied')))
+        .catch(() => input.select());
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+window.addEventListener('DOMContentLoaded', function() {
+    useCartFromLink();
+    // Send what is waiting first, then look for changes from other devices
+    // (both do nothing when there is no API, see whenSyncAvailable())
+    flushSyncQueue().then(pullServerCart).then(renderCartShare);
+});
+
+// Every saved cart and every new order goes into the queue
+window.addEventListener('cartsave', event => queueCartChange(event.detail.items));
+window.addEventListener('ordersave', event => queueOrder(event.detail.order));
+
+// Back online, or back to this tab (maybe after using the phone): catch up
+window.addEventListener('online', function() {
+    flushSyncQueue().then(pullServerCart).then(renderCartShare);
+});
+
+document.addEventListener('visibilitychange', function() {
+    if (document.visibilityState === 'visible') {
+        flushSyncQueue().then(pullServerCart);
+    }
+});
+
+window.addEventListener('languagechange', renderCartShare);
+
+// Another tab queued or sent something
+window.addEventListener('storage', function(event) {
+    if (event.key === SYNC_QUEUE_KEY) {
+        renderSyncStatus();
+    }
+});
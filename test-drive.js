@@ -0,0 +1,275 @@
+// ===== TEST DRIVE BOOKING =====
+// This file builds the "Book a test drive" widget on the detail page (toode.html):
+// pick a showroom, a day in the calendar and a free time, fill in your
+// contact details and the slot is yours
+//
+// Key concepts:
+// - the slots, opening hours and saving come from bookings.js
+// - booked slots are shown but can't be chosen; days without a free slot are greyed out
+// - the choices are kept in variables (not read from the page), so they survive
+//   a redraw, e.g. when the language changes or another tab books a slot
+// - after booking, the customer can download the test drive as an .ics calendar file
+
+// ===== WIDGET STATE =====
+let testDriveShowroom = null;   // e.g. 'tallinn'
+let testDriveDate = null;       // e.g. '2026-10-21'
+let testDriveTime = null;       // e.g. '10:00'
+let lastBookingId = null;       // The booking to confirm under the form
+
+// ===== CHOOSE A SHOWROOM, DAY OR TIME =====
+// Each choice clears the ones after it: a new showroom has other free times
+function chooseTestDriveShowroom(showroomId) {
+    testDriveShowroom = showroomId;
+    testDriveDate = null;
+    testDriveTime = null;
+    renderTestDrive();
+}
+
+function chooseTestDriveDay(dateKey) {
+    testDriveDate = dateKey;
+    testDriveTime = null;
+    renderTestDrive();
+}
+
+function chooseTestDriveTime(time) {
+    testDriveTime = time;
+    renderTestDrive();
+}
+
+// ===== THE CALENDAR =====
+// Two weeks as a grid, Monday first; empty cells before the first day keep the columns right
+function testDriveCalendarHTML(productId) {
+    const days = bookableDays();
+    const weekdayFormat = new Intl.DateTimeFormat(getLanguage(), { weekday: 'short' });
+    // The days are the showroom's (bookings.js), so they are shown in its time zone
+    const dayFormat = new Intl.DateTimeFormat(getLanguage(), { day: 'numeric', month: 'short', timeZone: SHOWROOM_TIME_ZONE });
+    const fullFormat = new Intl.DateTimeFormat(getLanguage(), { weekday: 'long', day: 'numeric', month: 'long', timeZone: SHOWROOM_TIME_ZONE });
+
+    // 5 January 2026 was a Monday: the names of the days, in the chosen language
+    const headers = [0, 1, 2, 3, 4, 5, 6]
+        .map(i => `<span class="td-weekday" aria-hidden="true">${weekdayFormat.format(new Date(2026, 0, 5 + i))}</span>`)
+        .join('');
+
+    // dayOfWeek() is 0 on Sunday; + 6 and % 7 make Monday 0 and Sunday 6
+    const blanks = '<span></span>'.repeat((dayOfWeek(days[0]) + 6) % 7);
+
+    const buttons = days.map(key => {
+        // Midday of that day, for the date formats above
+        const day = slotStart(key, '12:00');
+        const free = slotsForDay(productId, testDriveShowroom, key).filter(slot => !slot.booked).length;
+        const label = free > 0
+            ? t('testDrive.dayFree', { day: fullFormat.format(day), count: free })
+            : t('testDrive.dayFull', { day: fullFormat.format(day) });
+        return `
+            <button type="button" class="td-day" data-focus-id="day/${key}" onclick="chooseTestDriveDay('${key}')"
+                    aria-pressed="${key === testDriveDate}" aria-label="${label}"${free === 0 ? ' disabled' : ''}>
+                ${dayFormat.format(day)}
+            </button>
+        `;
+    }).join('');
+
+    return `<div class="td-calendar" role="group" aria-label="${t('testDrive.chooseDay')}">${headers}${blanks}${buttons}</div>`;
+}
+
+// ===== THE TIMES OF THE CHOSEN DAY =====
+function testDriveSlotsHTML(productId) {
+    if (!testDriveDate) {
+        return `<p class="td-hint">${t('testDrive.pickDayFirst')}</p>`;
+    }
+
+    const buttons = slotsForDay(productId, testDriveShowroom, testDriveDate).map(slot => `
+        <button type="button" class="td-slot${slot.booked ? ' booked' : ''}" data-focus-id="slot/${slot.time}"
+                onclick="chooseTestDriveTime('${slot.time}')" aria-pressed="${slot.time === testDriveTime}"
+                ${slot.booked ? `disabled title="${t('testDrive.booked')}"` : ''}>
+            ${slot.time}${slot.booked ? ` <small>${t('testDrive.booked')}</small>` : ''}
+        </button>
+    `).join('');
+
+    return `<div class="td-slots" role="group" aria-label="${t('testDrive.chooseTime')}">${buttons}</div>`;
+}
+
+// ===== "BOOKED!" WITH THE CALENDAR FILE =====
+function testDriveConfirmationHTML() {
+    const booking = loadBookings().find(b => b.id === lastBookingId);
+    if (!booking) {
+        return '';
+    }
+    const room = showrooms.find(r => r.id === booking.showroom);
+    return `
+        <div class="td-confirmation" role="status">
+            <p>${t('testDrive.confirmed', { when: formatSlot(booking.date, booking.time), showroom: room.name })}</p>
+            <button type="button" class="btn" onclick="downloadBookingICS('${booking.id}')">${t('testDrive.addToCalendar')}</button>
+        </div>
+    `;
+}
+
+// ===== BUILD THE WIDGET =====
+// catalog.js leaves an empty <section id="test-drive" data-product="m3"> on the page
+function renderTestDrive() {
+    const container = document.getElementById('test-drive');
+    if (!container) {
+        return;
+    }
+
+    const product = getProduct(container.getAttribute('data-product'));
+    const rooms = testDriveShowrooms(product.id);
+
+    if (rooms.length === 0) {
+        container.innerHTML = `<h2>${t('testDrive.title')}</h2><p>${t('testDrive.notAvailable', { name: product.name })}</p>`;
+        return;
+    }
+
+    // Keep what was typed and which button had the keyboard focus: innerHTML replaces them
+    const oldForm = document.getElementById('test-drive-form');
+    const typed = oldForm ? Object.fromEntries(new FormData(oldForm)) : {};
+    const focused = container.contains(document.activeElement) ? document.activeElement.dataset.focusId : null;
+
+    // The first showroom with this car, until the customer picks another
+    if (!rooms.some(room => room.id === testDriveShowroom)) {
+        testDriveShowroom = rooms[0].id;
+    }
+    // A chosen time someone else has booked meanwhile (another tab) is dropped
+    if (testDriveDate && !slotsForDay(product.id, testDriveShowroom, testDriveDate).some(slot => slot.time === testDriveTime && !slot.booked)) {
+        testDriveTime = null;
+    }
+
+    const roomOptions = rooms
+        .map(room => `<option value="${room.id}"${room.id === testDriveShowroom ? ' selected' : ''}>${room.name}</option>`)
+        .join('');
+
+    container.innerHTML = `
+        <h2>${t('testDrive.title')}</h2>
+        <p>${t('testDrive.intro', { name: product.name, minutes: testDriveSettings.slotMinutes })}</p>
+
+        <div class="field">
+            <label for="td-showroom">${t('testDrive.showroom')}</label>
+            <select id="td-showroom" onchange="chooseTestDriveShowroom(this.value)">${roomOptions}</select>
+        </div>
+
+        ${testDriveCalendarHTML(product.id)}
+        ${testDriveSlotsHTML(product.id)}
+
+        <form id="test-drive-form" class="td-form" novalidate onsubmit="submitTestDrive(event)">
+            <small class="field-error" data-error-for="slot"></small>
+            <div class="field">
+                <label for="td-name">${t('checkout.name')}</label>
+                <input id="td-name" name="name" autocomplete="name" value="${escapeHTML(typed.name || '')}">
+                <small class="field-error" data-error-for="name"></small>
+            </div>
+            <div class="field">
+                <label for="td-email">${t('checkout.email')}</label>
+                <input id="td-email" name="email" type="email" autocomplete="email" value="${escapeHTML(typed.email || '')}">
+                <small class="field-error" data-error-for="email"></small>
+            </div>
+            <div class="field">
+                <label for="td-phone">${t('checkout.phone')}</label>
+                <input id="td-phone" name="phone" type="tel" autocomplete="tel" value="${escapeHTML(typed.phone || '')}">
+                <small class="field-error" data-error-for="phone"></small>
+            </div>
+            <button type="submit" class="btn primary">${testDriveTime
+                ? t('testDrive.bookAt', { when: formatSlot(testDriveDate, testDriveTime) })
+                : t('testDrive.book')}</button>
+        </form>
+
+        ${testDriveConfirmationHTML()}
+        <a href="proovisoidud.html" class="td-my-bookings">${t('bookings.title')} →</a>
+    `;
+
+    if (focused) {
+        const again = [...container.querySelectorAll('[data-focus-id]')].find(element => element.dataset.focusId === focused);
+        if (again && !again.disabled) {
+            again.focus();
+        }
+    }
+}
+
+// ===== CHECK THE FORM =====
+// Returns { fieldName: "message" } like the checkout steps; empty = all correct
+function validateTestDrive(values) {
+    const errors = {};
+    if (!testDriveTime) {
+        errors.slot = t('testDrive.error.slot');
+    }
+    if (!values.name) {
+        errors.name = t('checkout.error.name');
+    }
+    if (!isValidEmail(values.email)) {
+        errors.email = t('checkout.error.email');
+    }
+    if (!isValidPhone(values.phone)) {
+        errors.phone = t('checkout.error.phone');
+    }
+    return errors;
+}
+
+// Writes the messages under the fields and moves the focus to the first broken one
+function showTestDriveErrors(form, errors) {
+    form.querySelectorAll('.field-error').forEach(element => {
+        element.textContent = errors[element.getAttribute('data-error-for')] || '';
+    });
+    form.querySelectorAll('input').forEach(input => {
+        if (errors[input.name]) {
+            input.setAttribute('aria-invalid', 'true');
+        } else {
+            input.removeAttribute('aria-invalid');
+        }
+    });
+
+    const firstInvalid = form.querySelector('[aria-invalid="true"]');
+    if (firstInvalid) {
+        firstInvalid.focus();
+    }
+}
+
+// ===== BOOK THE CHOSEN SLOT =====
+function submitTestDrive(event) {
+    // Stay on the page: the form is handled here
+    event.preventDefault();
+
+    const form = event.target;
+    const values = {};
+    new FormData(form).forEach((value, key) => {
+        values[key] = value.trim();
+    });
+
+    const errors = validateTestDrive(values);
+    showTestDriveErrors(form, errors);
+    if (Object.keys(errors).length > 0) {
+        return;
+    }
+
+    const productId = document.getElementById('test-drive').getAttribute('data-product');
+    const booking = bookTestDrive(productId, testDriveShowroom, testDriveDate, testDriveTime, {
+        name: values.name,
+        email: values.email,
+        phone: values.phone
+    });
+
+    // Taken in another tab since the page was drawn: show the fresh calendar
+    if (!booking) {
+        testDriveTime = null;
+        renderTestDrive();
+        showToast(t('testDrive.slotTaken'));
+        return;
+    }
+
+    lastBookingId = booking.id;
+    testDriveTime = null;
+    renderTestDrive();
+    showToast(t('testDrive.bookedToast', { name: getProduct(productId).name }));
+}
+
+// ===== RUN WHEN PAGE LOADS =====
+// catalog.js (loaded earlier) has already filled in the page and the empty widget
+window.addEventListener('DOMContentLoaded', renderTestDrive);
+
+// catalog.js redraws the detail page on these events, the widget with it
+window.addEventListener('currencychange', renderTestDrive);
+window.addEventListener('languagechange', renderTestDrive);
+
+// A booking or cancellation in another tab frees or blocks slots here too
+window.addEventListener('storage', function(event) {
+    if (event.key === 'testDrives') {
+        renderTestDrive();
+    }
+});
@@ -1,111 +1,227 @@
-// ===== THEME TOGGLE SYSTEM =====
-// This file manages light/dark mode switching
+// ===== THEME SYSTEM =====
+// This file manages the colour themes of the shop (dark, light, high contrast)
 // It uses CSS variables to easily swap colors, and localStorage to remember user preference
+//
+// Key concepts:
+// - theme = a named set of colour "tokens" (CSS variables like --bg-primary)
+// - preference = what the user picked: 'auto', 'dark', 'light' or 'high-contrast'
+// - 'auto' follows the operating system setting (prefers-color-scheme) and
+//   switches live when the user changes it, e.g. when the OS goes into night mode
+//
+// This file is loaded in the <head> of EVERY page, before the page content,
+// so the right colours are set before anything is drawn (no flash of the wrong theme)
 
-// ===== INITIALIZE THEME ON PAGE LOAD =====
-// When the page first loads, this function checks if user has a saved theme preference
-function initTheme() {
-    // localStorage.getItem() retrieves saved data from browser storage
-    // It looks for a key called 'theme'
-    // If user has switched themes before, we get 'light' or 'dark'
-    // If they haven't, getItem returns null
-    const savedTheme = localStorage.getItem('theme');
-    
-    // Decide which theme to use
-    // If saved theme exists, use it; otherwise use 'dark' as default
-    const theme = savedTheme || 'dark';
-    
-    // Apply the theme to the page
-    applyTheme(theme);
-    
-    // Log to console for debugging
-    console.log(`Theme initialized: ${theme}`);
+// ===== THEME DEFINITIONS =====
+// Every theme sets the same list of tokens; pood.css and the page styles only use var(--...)
+const themes = {
+    dark: {
+        labelKey: 'theme.dark',             // Name in the picker (see i18n.js)
+        tokens: {
+            '--bg-primary': '#0a0a0a',          // Main page background (almost black)
+            '--bg-secondary': '#000000',        // Secondary background
+            '--text-primary': '#ffffff',        // Main text
+            '--text-secondary': '#cccccc',      // Less important text
+            '--muted-text': '#888888',          // Placeholders and hints
+            '--border-color': '#333333',        // Borders and dividers
+            '--card-bg': '#121212',             // Product cards
+            '--card-shadow': 'rgba(0,0,0,0.6)', // Shadow under cards
+            '--surface': '#1a1a1a',             // Panels: filter box, cart lines
+            '--input-bg': '#111111',            // Text boxes and dropdowns
+            '--accent-color': '#1c69d4',        // BMW blue
+            '--accent-hover': '#0041b2',        // Darker blue on hover
+            '--on-accent': '#ffffff',           // Text on top of the accent colour
+            '--neutral-btn': '#444444',         // Grey buttons ("Continue shopping")
+            '--neutral-btn-hover': '#666666',
+            '--danger': '#ff4444',              // Remove buttons, errors, cart badge
+            '--danger-hover': '#ff0000',
+            '--success': '#4caf50',             // Success messages
+            '--toast-bg': '#222222',            // Notification popups
+            '--toast-text': '#ffffff'
+        }
+    },
+    light: {
+        labelKey: 'theme.light',
+        tokens: {
+            '--bg-primary': '#f5f5f5',
+            '--bg-secondary': '#ffffff',
+            '--text-primary': '#000000',
+            '--text-secondary': '#333333',
+            '--muted-text': '#666666',
+            '--border-color': '#dddddd',
+            '--card-bg': '#ffffff',
+            '--card-shadow': 'rgba(0,0,0,0.1)',
+            '--surface': '#ffffff',
+            '--input-bg': '#ffffff',
+            '--accent-color': '#1c69d4',
+            '--accent-hover': '#0041b2',
+            '--on-accent': '#ffffff',
+            '--neutral-btn': '#6b6b6b',
+            '--neutral-btn-hover': '#4d4d4d',
+            '--danger': '#d32f2f',
+            '--danger-hover': '#b71c1c',
+            '--success': '#2e7d32',
+            '--toast-bg': '#222222',
+            '--toast-text': '#ffffff'
+        }
+    },
+    'high-contrast': {
+        labelKey: 'theme.high-contrast',
+        tokens: {
+            '--bg-primary': '#000000',
+            '--bg-secondary': '#000000',
+            '--text-primary': '#ffffff',
+            '--text-secondary': '#ffffff',
+            '--muted-text': '#ffffff',
+            '--border-color': '#ffffff',
+            '--card-bg': '#000000',
+            '--card-shadow': 'transparent',
+            '--surface': '#000000',
+            '--input-bg': '#000000',
+            '--accent-color': '#ffff00',        // Yellow on black is the easiest to read
+            '--accent-hover': '#ffd700',
+            '--on-accent': '#000000',
+            '--neutral-btn': '#333333',
+            '--neutral-btn-hover': '#555555',
+            '--danger': '#ff6b6b',
+            '--danger-hover': '#ff3b3b',
+            '--success': '#00ff66',
+            '--toast-bg': '#ffffff',
+            '--toast-text': '#000000'
+        }
+    }
+};
+
+// ===== SYSTEM COLOUR SCHEME =====
+// matchMedia() lets JavaScript ask the same questions as CSS @media rules
+// .matches is true when the operating system is set to light mode
+const lightSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+
+// ===== READ THE SAVED PREFERENCE =====
+// Returns 'auto', 'dark', 'light' or 'high-contrast'
+// Anything unknown (or nothing saved yet) means 'auto'
+function getThemePreference() {
+    const saved = localStorage.getItem('theme');
+    return themes[saved] ? saved : 'auto';
+}
+
+// ===== WHICH THEME DOES A PREFERENCE MEAN RIGHT NOW? =====
+// 'auto' becomes 'light' or 'dark' depending on the operating system
+function resolveTheme(preference) {
+    if (preference === 'auto') {
+        return lightSchemeQuery && lightSchemeQuery.matches ? 'light' : 'dark';
+    }
+    return preference;
 }
 
 // ===== APPLY THEME FUNCTION =====
-// This function switches the page colors between light and dark
-function applyTheme(theme) {
+// This function switches the page colors by copying the theme's tokens into
+// CSS variables on the <html> element - every var(--...) on the page updates at once
+function applyTheme(preference) {
     // Get the <html> element (root of the page)
     // This is where we set CSS variables that cascade to all elements
     const root = document.documentElement;
-    
-    // Define what colors to use for each theme
-    // CSS variables are defined with -- prefix (e.g., --bg-primary)
-    // They can be used in CSS with var(--bg-primary)
-    if (theme === 'light') {
-        // LIGHT THEME: bright backgrounds, dark text
-        root.style.setProperty('--bg-primary', '#f5f5f5');      // Light gray background
-        root.style.setProperty('--bg-secondary', '#ffffff');    // Pure white for cards
-        root.style.setProperty('--text-primary', '#000000');    // Black text
-        root.style.setProperty('--text-secondary', '#333333');  // Dark gray text
-        root.style.setProperty('--border-color', '#dddddd');    // Light gray borders
-        root.style.setProperty('--card-bg', '#ffffff');         // White cards
-        root.style.setProperty('--card-shadow', 'rgba(0,0,0,0.1)');  // Subtle shadow
-        
-    } else if (theme === 'dark') {
-        // DARK THEME: dark backgrounds, light text (default, already in CSS)
-        root.style.setProperty('--bg-primary', '#0a0a0a');      // Almost black
-        root.style.setProperty('--bg-secondary', '#000000');    // Pure black
-        root.style.setProperty('--text-primary', '#ffffff');    // White text
-        root.style.setProperty('--text-secondary', '#cccccc');  // Light gray text
-        root.style.setProperty('--border-color', '#333333');    // Dark gray borders
-        root.style.setProperty('--card-bg', '#121212');         // Very dark gray
-        root.style.setProperty('--card-shadow', 'rgba(0,0,0,0.6)');  // Stronger shadow
+    const themeName = resolveTheme(preference);
+    const tokens = themes[themeName].tokens;
+
+    for (const name in tokens) {
+        root.style.setProperty(name, tokens[name]);
     }
-    
-    // Update the button text to show what theme WE'RE SWITCHING TO (opposite of current)
-    // This helps users understand what clicking the button will do
-    const themeButton = document.getElementById('themeToggle');
-    if (themeButton) {
-        // If we just applied dark theme, button shows "Light Mode" (offer to switch to light)
-        // If we just applied light theme, button shows "Dark Mode" (offer to switch to dark)
-        themeButton.textContent = theme === 'dark' ? '☀️ Light Mode' : '🌙 Dark Mode';
+
+    // data-theme can be used in CSS for theme-specific tweaks: [data-theme="light"] { ... }
+    root.setAttribute('data-theme', themeName);
+
+    // color-scheme makes the browser draw scrollbars and form controls in matching colours
+    root.style.colorScheme = themeName === 'light' ? 'light' : 'dark';
+
+    // Show the preference in every theme picker on the page
+    document.querySelectorAll('.theme-picker').forEach(select => {
+        select.value = preference;
+    });
+}
+
+// ===== CHANGE THE THEME =====
+// Runs when the user picks a theme; saves the choice so every page and visit uses it
+function setTheme(preference) {
+    if (preference !== 'auto' && !themes[preference]) {
+        return;
     }
-    
-    // Save the current theme to localStorage so it's remembered next time
-    localStorage.setItem('theme', theme);
-    
-    // Log for debugging
-    console.log(`Theme applied: ${theme}`);
+    const previous = getThemePreference();
+    localStorage.setItem('theme', preference);
+    applyTheme(preference);
+
+    // Tell analytics (events.js)
+    publishShopEvent('theme_changed', { from: previous, to: preference });
+}
+
+// ===== THEME PICKER =====
+// Fills every <select class="theme-picker"> on the page with the themes
+// Runs again when the language changes, so it only rebuilds the options
+// (the change listener is added once, when the page loads)
+function renderThemePickers() {
+    const preference = getThemePreference();
+
+    document.querySelectorAll('.theme-picker').forEach(select => {
+        // "Auto" (follow the system) comes first; t() is in i18n.js
+        const options = [{ value: 'auto', label: t('theme.auto') }]
+            .concat(Object.keys(themes).map(name => ({ value: name, label: t(themes[name].labelKey) })));
+
+        select.innerHTML = options
+            .map(option => `<option value="${option.value}">${option.label}</option>`)
+            .join('');
+        select.value = preference;
+    });
 }
 
-// ===== TOGGLE THEME FUNCTION =====
-// When user clicks the theme button, this function switches themes
-function toggleTheme() {
-    // Get the currently saved theme from localStorage
-    const currentTheme = localStorage.getItem('theme') || 'dark';
-    
-    // Switch to the opposite theme
-    // If currently dark, switch to light; if currently light, switch to dark
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-    
-    // Apply the new theme
-    applyTheme(newTheme);
-    
-    // Log action for debugging
-    console.log(`Theme toggled: ${currentTheme} → ${newTheme}`);
+// ===== APPLY THE THEME IMMEDIATELY =====
+// This runs while the <head> is still loading - BEFORE the page is drawn
+// (waiting for DOMContentLoaded would briefly show the default colours first)
+applyTheme(getThemePreference());
+
+// ===== FOLLOW THE OPERATING SYSTEM LIVE =====
+// When the OS switches between light and dark, re-apply if the user chose 'auto'
+if (lightSchemeQuery) {
+    lightSchemeQuery.addEventListener('change', function() {
+        if (getThemePreference() === 'auto') {
+            applyTheme('auto');
+        }
+    });
 }
 
-// ===== RUN INITIALIZATION ON PAGE LOAD =====
-// When the page first loads and the DOM is ready, initialize the theme
+// ===== FOLLOW OTHER TABS =====
+// Picking a theme in one tab changes it in the other open tabs too
+window.addEventListener('storage', function(event) {
+    if (event.key === 'theme') {
+        applyTheme(getThemePreference());
+    }
+});
+
+// The pickers are in the page body, so fill them in once it has loaded
 window.addEventListener('DOMContentLoaded', function() {
-    // Call initTheme to set up the correct theme on page load
-    initTheme();
+    renderThemePickers();
+
+    document.querySelectorAll('.theme-picker').forEach(select => {
+        select.addEventListener('change', function() {
+            setTheme(select.value);
+        });
+    });
 });
 
+// i18n.js sends 'languagechange' when the customer picks another language
+window.addEventListener('languagechange', renderThemePickers);
+
 // Example comment explaining CSS variables:
 // CSS variables (also called "custom properties") are a powerful way to manage themes
 // They start with -- and can be used with var() function in CSS
-// 
+//
 // How it works:
 // 1. In JavaScript: root.style.setProperty('--bg-primary', '#f5f5f5')
 //    This sets a CSS variable in the root <html> element
-// 
+//
 // 2. In CSS: body { background: var(--bg-primary); }
 //    This uses the variable, so background changes when variable changes
-// 
+//
 // 3. All child elements inherit the variable, so entire page updates instantly
-// 
+//
 // Advantages:
 // - Easy to manage: change one variable, affects everything using it
 // - Fast: just CSS properties, no DOM repainting needed
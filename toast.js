@@ -0,0 +1,150 @@
+// ===== TOAST NOTIFICATIONS =====
+// Small messages at the bottom-right of the page ("✓ BMW M3 added!") that go
+// away by themselves and never block the page like alert() does
+//
+// Key concepts:
+// - stack: several toasts can be visible at once, the newest at the bottom
+// - queue: when MAX_VISIBLE_TOASTS are showing, new messages wait their turn
+//   instead of replacing a message nobody had time to read
+// - action: a toast can have one button, e.g. "Undo" after removing a car
+// - every toast has its own timer; pointing at a toast (or tabbing into it)
+//   pauses the timer, so there is time to read it or reach the button
+// - screen readers: the toasts are added inside the #toast container, which is
+//   an aria-live region, so each new message is read out once
+
+// ===== SETTINGS =====
+const MAX_VISIBLE_TOASTS = 3;
+const TOAST_DURATION = 2500;               // Milliseconds a plain message stays
+const TOAST_ACTION_DURATION = 6000;        // Longer when there is a button to press
+
+// Messages waiting for a free place in the stack
+const toastQueue = [];
+
+// ===== THE CONTAINER =====
+// Pages can have <div id="toast" aria-live="polite"> in their HTML;
+// pages without one get it added here. pood.css places it at the bottom-right
+function getToastContainer() {
+    let container = document.getElementById('toast');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'toast';
+        container.setAttribute('aria-live', 'polite');
+        document.body.appendChild(container);
+    }
+    return container;
+}
+
+// ===== SHOW A MESSAGE =====
+// showToast('Saved!')                         → plain message, default time
+// showToast('Cart is being checked…', 5000)   → plain message, 5 seconds
+// showToast('BMW M3 removed', {
+//     action: { label: 'Undo', onClick: undoChangeAction() }
+// })                                          → message with an "Undo" button
+// showToast('New version', { sticky: true, action: ... })
+//                                             → stays until its button or ✕ is pressed
+function showToast(message, options = {}) {
+    // Older calls pass the duration as a number
+    if (typeof options === 'number') {
+        options = { duration: options };
+    }
+
+    const toast = {
+        message: message,
+        action: options.action || null,
+        sticky: Boolean(options.sticky),
+        duration: options.duration || (options.action ? TOAST_ACTION_DURATION : TOAST_DURATION)
+    };
+
+    if (getToastContainer().children.length >= MAX_VISIBLE_TOASTS) {
+        toastQueue.push(toast);
+    } else {
+        displayToast(toast);
+    }
+}
+
+// ===== PUT ONE TOAST ON THE SCREEN =====
+function displayToast(toast) {
+    const element = document.createElement('div');
+    element.className = 'toast';
+
+    // textContent (not innerHTML), so a message can never inject HTML
+    const text = document.createElement('span');
+    text.className = 'toast-message';
+    text.textContent = toast.message;
+    element.appendChild(text);
+
+    if (toast.action) {
+        const actionButton = document.createElement('button');
+        actionButton.className = 'toast-action';
+        actionButton.textContent = toast.action.label;
+        actionButton.addEventListener('click', function() {
+            // The action is done once; the toast has served its purpose
+            dismissToast(element);
+            toast.action.onClick();
+        });
+        element.appendChild(actionButton);
+    }
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'toast-close';
+    closeButton.textContent = '✕';
+    closeButton.setAttribute('aria-label', t('toast.close'));
+    closeButton.addEventListener('click', () => dismissToast(element));
+    element.appendChild(closeButton);
+
+    // ===== TIMER THAT CAN BE PAUSED =====
+    // remaining: how much of its time the toast still has left
+    // timer is null while paused (mouse and focus can both pause it)
+    let remaining = toast.duration;
+    let startedAt = 0;
+    let timer = null;
+
+    const startTimer = () => {
+        // A sticky toast has no timer at all
+        if (timer || toast.sticky) {
+            return;
+        }
+        startedAt = Date.now();
+        timer = setTimeout(() => dismissToast(element), remaining);
+    };
+    const pauseTimer = () => {
+        if (!timer) {
+            return;
+        }
+        clearTimeout(timer);
+        timer = null;
+        remaining -= Date.now() - startedAt;
+    };
+
+    element.addEventListener('mouseenter', pauseTimer);
+    element.addEventListener('mouseleave', startTimer);
+    element.addEventListener('focusin', pauseTimer);
+    element.addEventListener('focusout', startTimer);
+    // Kept on the element, so dismissToast() can stop the timer
+    element.stopTimer = () => clearTimeout(timer);
+
+    getToastContainer().appendChild(element);
+
+    // Start invisible, then fade in on the next frame (see .toast.visible in pood.css)
+    requestAnimationFrame(() => element.classList.add('visible'));
+    startTimer();
+}
+
+// ===== CLOSE A TOAST =====
+// Fades it out, removes it, and lets the next queued message in
+function dismissToast(element) {
+    if (element.classList.contains('leaving')) {
+        return; // Already on its way out (e.g. timer and ✕ at the same time)
+    }
+    element.stopTimer();
+    element.classList.add('leaving');
+    element.classList.remove('visible');
+
+    // Wait for the fade-out (200ms in pood.css) before removing it
+    setTimeout(() => {
+        element.remove();
+        if (toastQueue.length > 0) {
+            displayToast(toastQueue.shift());
+        }
+    }, 220);
+}